@@ -0,0 +1,106 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import {
+  UIRouter, Transition, PathNode, ResolveContext, StateDeclaration, RawParams, extend, isDefined, services
+} from "@uirouter/core";
+import { getLocals, interpolateOrInvoke } from "./services";
+import { Ng1StateDeclaration } from "./interface";
+
+/** A breadcrumb, contributed by an active state */
+export interface Breadcrumb {
+  /** The state which contributed the breadcrumb */
+  state: StateDeclaration;
+  /** The label, from [[Ng1StateDeclaration.breadcrumb]] (or the state's `title`, or name) */
+  label: string;
+  /** The parameter values of the state (including the parameter values of its ancestors) */
+  params: RawParams;
+  /** The url of the state, built with `$state.href()`.  Abstract states have no `href`. */
+  href: string;
+}
+
+/** @hidden The label of a state's breadcrumb, or `false` if the state does not contribute a breadcrumb */
+function labelFor(state: Ng1StateDeclaration) {
+  if (state.breadcrumb === false) return false;
+  if (isDefined(state.breadcrumb)) return state.breadcrumb;
+  // Abstract states (which cannot be linked to) only contribute a breadcrumb if they declare one
+  if (state.abstract) return false;
+  return isDefined(state.title) ? state.title : state.name;
+}
+
+/**
+ * Provides the breadcrumbs of the active states
+ *
+ * After each successful transition, this service walks the active path (from the root state to the active state).
+ * Each state contributes a [[Breadcrumb]], with a label and a link (built using `$state.href()`).
+ *
+ * The label is declared using [[Ng1StateDeclaration.breadcrumb]].
+ * States opt out using `breadcrumb: false`.  Abstract states are skipped, unless they declare a `breadcrumb`.
+ *
+ * The breadcrumbs are rendered by the [[directives.uiBreadcrumbs]] directive.
+ *
+ * #### Example:
+ * ```js
+ * app.run(function($breadcrumbs) {
+ *   $breadcrumbs.onChange(function(breadcrumbs) {
+ *     console.log(breadcrumbs.map(crumb => crumb.label).join(' > '));
+ *   });
+ * });
+ * ```
+ */
+export class Breadcrumbs {
+  /** The breadcrumbs of the active states, ordered from the root (the outermost state) to the active state */
+  breadcrumbs: Breadcrumb[] = [];
+
+  /** @hidden */ private _router: UIRouter;
+  /** @hidden */ private _latest: Transition = null;
+  /** @hidden */ private _listeners: Function[] = [];
+
+  /** @hidden */ $get = ['$uiRouter', ($uiRouter: UIRouter) => {
+    this._router = $uiRouter;
+    $uiRouter.transitionService.onSuccess({}, (trans: Transition) => this._update(trans));
+    return this;
+  }];
+
+  /**
+   * Registers a callback which is invoked when the breadcrumbs change
+   *
+   * @param callback invoked with the new breadcrumbs
+   * @return a function which deregisters the callback
+   */
+  onChange(callback: (breadcrumbs: Breadcrumb[]) => void): Function {
+    this._listeners.push(callback);
+    return () => this._listeners = this._listeners.filter(listener => listener !== callback);
+  }
+
+  /** @hidden */
+  private _update(trans: Transition) {
+    this._latest = trans;
+    let toPath: PathNode[] = trans.treeChanges('to');
+
+    // Skip the root state
+    let crumbs = toPath.slice(1).map((node, idx) => {
+      let state = <Ng1StateDeclaration> node.state.self;
+      let label = labelFor(state);
+      if (label === false) return null;
+
+      // The path from the root state to this state
+      let path = toPath.slice(0, idx + 2);
+      let params = path.reduce((acc, _node) => extend(acc, _node.paramValues), {});
+      let href = state.abstract ? null : this._router.stateService.href(node.state, params, { inherit: false });
+      let locals = extend(getLocals(new ResolveContext(path)), { $state$: state, $transition$: trans });
+
+      return interpolateOrInvoke(<any> label, locals).then(text => <Breadcrumb> { state: node.state.self, label: text, params, href });
+    }).filter(crumb => !!crumb);
+
+    services.$q.all(crumbs).then((breadcrumbs: Breadcrumb[]) => {
+      // A newer transition has already succeeded
+      if (this._latest !== trans) return;
+      this.breadcrumbs = breadcrumbs;
+      this._listeners.forEach(listener => listener(breadcrumbs));
+    }).catch(this._router.stateService.defaultErrorHandler());
+  }
+}
+
+angular.module('ui.router.state').provider('$breadcrumbs', () => new Breadcrumbs());
+// Instantiate the service so the breadcrumbs are updated for the initial transition
+angular.module('ui.router.state').run(['$breadcrumbs', function ($breadcrumbs: Breadcrumbs) { }]);
@@ -0,0 +1,61 @@
+/**
+ * @ng1api
+ * @module directives
+ */ /** for typedoc */
+import { ng as angular } from "../angular";
+import { IScope } from "angular";
+import { Breadcrumb, Breadcrumbs } from "../breadcrumbs";
+import { ng1_directive } from "./stateDirectives";
+
+/**
+ * `ui-breadcrumbs`: Renders the breadcrumbs of the active states
+ *
+ * This directive renders the [[Breadcrumb]]s from the [[Breadcrumbs]] service as an ordered list of links.
+ * The list is updated after each successful transition.
+ *
+ * The breadcrumb of the active state (the last one) is not a link, and is marked with `aria-current="page"`.
+ * Breadcrumbs of abstract states (which have no `href`) are not links either.
+ *
+ * See [[Ng1StateDeclaration.breadcrumb]] for declaring the label of a state's breadcrumb.
+ *
+ * #### Example:
+ * ```html
+ * <ui-breadcrumbs></ui-breadcrumbs>
+ * ```
+ *
+ * Renders:
+ * ```html
+ * <nav aria-label="Breadcrumb">
+ *   <ol class="breadcrumb">
+ *     <li class="breadcrumb-item"><a href="#/users">Users</a></li>
+ *     <li class="breadcrumb-item active"><span aria-current="page">Bob</span></li>
+ *   </ol>
+ * </nav>
+ * ```
+ *
+ * For custom markup, use the [[Breadcrumbs]] service directly.
+ */
+export let uiBreadcrumbs: ng1_directive;
+uiBreadcrumbs = ['$breadcrumbs', function $BreadcrumbsDirective($breadcrumbs: Breadcrumbs) {
+  return {
+    restrict: 'EA',
+    scope: true,
+    template:
+      '<nav aria-label="Breadcrumb">' +
+        '<ol class="breadcrumb">' +
+          '<li ng-repeat="crumb in $breadcrumbs" class="breadcrumb-item" ng-class="{ active: $last }">' +
+            '<a ng-if="crumb.href && !$last" ng-href="{{ crumb.href }}">{{ crumb.label }}</a>' +
+            '<span ng-if="!crumb.href && !$last">{{ crumb.label }}</span>' +
+            '<span ng-if="$last" aria-current="page">{{ crumb.label }}</span>' +
+          '</li>' +
+        '</ol>' +
+      '</nav>',
+    link: function (scope: IScope) {
+      const update = (breadcrumbs: Breadcrumb[]) => scope['$breadcrumbs'] = breadcrumbs;
+      update($breadcrumbs.breadcrumbs);
+      scope.$on('$destroy', <any> $breadcrumbs.onChange(update));
+    }
+  };
+}];
+
+angular.module('ui.router.state').directive('uiBreadcrumbs', uiBreadcrumbs);
@@ -0,0 +1,84 @@
+/**
+ * @ng1api
+ * @module directives
+ */ /** for typedoc */
+import { ng as angular } from "../angular";
+import { IScope, IAugmentedJQuery, IFormController, IWindowService } from "angular";
+import { Transition, TransitionService, PathNode, parse, tail } from "@uirouter/core";
+import { UIViewData } from "./viewDirective";
+import { UIDirtyGuard } from "../dirtyGuard";
+import { ng1_directive } from "./stateDirectives";
+
+/**
+ * `ui-dirty-guard`: Asks before leaving a form with unsaved changes
+ *
+ * Place this directive on a `<form>` (or `ng-form`) inside a routed view.
+ * While the form is `$dirty`, it registers an exit hook for the state of the view.
+ * When a transition exits the state, the user is asked to confirm leaving the form (using the [[UIDirtyGuard]] service).
+ * If the user does not confirm, the transition is cancelled.
+ *
+ * While the form is `$dirty`, the directive also hooks the `beforeunload` event,
+ * so the browser asks before a full page navigation (or closing the window).
+ *
+ * The value of the attribute (optional) is the confirm message.
+ * See [[UIDirtyGuard]] to configure the default message, or to use a custom confirm dialog.
+ *
+ * #### Example:
+ * ```html
+ * <form name="profile" ui-dirty-guard="Discard the changes to your profile?">
+ *   <input name="name" ng-model="$ctrl.user.name">
+ * </form>
+ * ```
+ *
+ * This is an alternative to implementing `uiCanExit` in the view's controller.
+ */
+export let uiDirtyGuard: ng1_directive;
+uiDirtyGuard = ['$transitions', '$uiDirtyGuard', '$window',
+  function $DirtyGuardDirective($transitions: TransitionService, $uiDirtyGuard: UIDirtyGuard, $window: IWindowService) {
+    return {
+      restrict: 'A',
+      require: 'form',
+      link: function (scope: IScope, element: IAugmentedJQuery, attrs: any, form: IFormController) {
+        let $uiView: UIViewData = element.inheritedData('$uiView');
+        let path: PathNode[] = parse('$cfg.path')($uiView);
+        if (!path) return;
+
+        let stateName = tail(path).state.name;
+        let deregisterHook: Function = null, confirmed: Transition = null;
+        const message = () => attrs.uiDirtyGuard || $uiDirtyGuard.defaultMessage();
+
+        const canExit = (trans: Transition) => {
+          // The user already chose to leave, but the transition was redirected
+          if (confirmed && trans.originalTransition() === confirmed) return undefined;
+
+          return $uiDirtyGuard.confirm(message(), trans).then(leave => {
+            if (!leave) return false;
+            confirmed = trans.originalTransition();
+          });
+        };
+
+        const beforeUnload = (event: BeforeUnloadEvent) => {
+          event.returnValue = message();
+          return message();
+        };
+
+        const guard = (dirty: boolean) => {
+          if (dirty === !!deregisterHook) return;
+
+          if (dirty) {
+            deregisterHook = $transitions.onBefore({ exiting: stateName }, canExit);
+            $window.addEventListener('beforeunload', beforeUnload);
+          } else {
+            deregisterHook();
+            deregisterHook = null;
+            $window.removeEventListener('beforeunload', beforeUnload);
+          }
+        };
+
+        scope.$watch(() => form.$dirty, guard);
+        scope.$on('$destroy', () => guard(false));
+      }
+    };
+  }];
+
+angular.module('ui.router.state').directive('uiDirtyGuard', uiDirtyGuard);
@@ -12,10 +12,12 @@ import { ng as angular } from "../angular";
 import { IAugmentedJQuery, ITimeoutService, IScope, IInterpolateService } from "angular";
 
 import {
-    Obj, extend, forEach, tail, isString, isObject, isArray, parse, noop, unnestR, identity, uniqR, inArray, removeFrom,
+    Obj, extend, forEach, tail, isDefined, isString, isObject, isArray, parse, noop, unnestR, identity, uniqR, inArray, removeFrom,
     RawParams, PathNode, StateOrName, StateService, StateDeclaration, UIRouter
 } from "@uirouter/core";
 import { UIViewData } from "./viewDirective";
+import { StatePreload } from "../statePreload";
+import { Permissions } from "../permission";
 
 /** @hidden Used for typedoc */
 export interface ng1_directive {}
@@ -66,9 +68,11 @@ function getTypeInfo(el: IAugmentedJQuery): TypeInfo {
 }
 
 /** @hidden */
-function clickHook(el: IAugmentedJQuery, $state: StateService, $timeout: ITimeoutService, type: TypeInfo, getDef: () => Def) {
+function clickHook(el: IAugmentedJQuery, $state: StateService, $timeout: ITimeoutService, type: TypeInfo, getDef: () => Def,
+                   isDisabled: () => boolean = () => false) {
   return function (e: JQueryMouseEventObject) {
     var button = e.which || e.button, target = getDef();
+    if (isDisabled()) return e.preventDefault();
 
     if (!(button > 1 || e.ctrlKey || e.metaKey || e.shiftKey || el.attr('target'))) {
       // HACK: This is to allow ng-clicks to be processed before the transition is initiated:
@@ -121,6 +125,83 @@ function bindEvents(element: IAugmentedJQuery, scope: IScope, hookFn: (e: JQuery
   });
 }
 
+/** @hidden Maps `ui-sref-preload` triggers to DOM events */
+const preloadEvents = { hover: 'mouseenter', focus: 'focus' };
+
+/** @hidden */
+function bindPreload(element: IAugmentedJQuery, scope: IScope, $statePreload: StatePreload, getDef: () => Def, triggers: string): void {
+  let triggerNames: string[] = (triggers || 'hover focus').split(/\s+/).filter(identity);
+  let events: string[] = triggerNames.map(trigger => preloadEvents[trigger]).filter(identity);
+
+  const preload = () => {
+    let def = getDef();
+    $statePreload.preload(def.uiState, def.uiStateParams, def.uiStateOpts).catch(noop);
+  };
+
+  let on = element.on ? 'on' : 'bind';
+  for (let event of events) {
+    element[on](event, preload);
+  }
+
+  let IntersectionObserver = (<any> window).IntersectionObserver;
+  let observer = inArray(triggerNames, 'visible') && IntersectionObserver && new IntersectionObserver((entries: any[]) => {
+    if (entries.filter(entry => entry.isIntersecting).length) preload();
+  });
+  if (observer) observer.observe(element[0]);
+
+  scope.$on('$destroy', function() {
+    let off = element.off ? 'off' : 'unbind';
+    for (let event of events) {
+      element[off](event, preload);
+    }
+    if (observer) observer.disconnect();
+  });
+}
+
+/** @hidden Hides or disables a link when the user is not authorized to activate the linked state */
+interface UnauthorizedLink {
+  /** Checks the permissions of the linked state, if the target (or the parameter values) changed */
+  update(def: Def): void;
+  /** `true` while the link is disabled */
+  isDisabled(): boolean;
+}
+
+/** @hidden */
+function bindUnauthorized(element: IAugmentedJQuery, scope: IScope, $permission: Permissions, mode: string): UnauthorizedLink {
+  let disabled = false, latest: Promise<boolean>, checked: Def, checkedKey: any[];
+
+  const apply = (authorized: boolean) => {
+    if (mode === 'disable') {
+      disabled = !authorized;
+      element.toggleClass('disabled', disabled);
+      element.attr('aria-disabled', disabled ? 'true' : null);
+      if (element[0].nodeName === 'BUTTON') element.prop('disabled', disabled);
+    } else {
+      element.toggleClass('ng-hide', !authorized);
+    }
+  };
+
+  const check = () => {
+    let current = latest = $permission.authorize(checked.uiState, checked.uiStateParams, checked.uiStateOpts);
+    current.then(authorized => latest === current && apply(authorized), noop);
+  };
+
+  const update = (def: Def) => {
+    // The href changes when inherited parameter values change
+    let key = [def.uiState, def.uiStateParams, def.href];
+    if (checkedKey && angular.equals(key, checkedKey)) return;
+    checked = def;
+    checkedKey = angular.copy(key);
+    check();
+  };
+
+  // Hide (or disable) the link until the permissions are checked
+  apply(false);
+  scope.$on('$destroy', <any> $permission.onRefresh(() => checked && check()));
+
+  return { update, isDisabled: () => disabled };
+}
+
 /**
  * `ui-sref`: A directive for linking to a state
  *
@@ -199,6 +280,36 @@ function bindEvents(element: IAugmentedJQuery, scope: IScope, hookFn: (e: JQuery
  * <input type="text" ui-sref="contacts" ui-sref-opts="{ events: ['change', 'blur'] }">
  * ```
  *
+ * ### Preloading
+ * Add the `ui-sref-preload` attribute to load the linked state's views (templates and `controllerProvider`) before the link is clicked.
+ * The attribute value is a space separated list of triggers: `hover`, `focus`, and/or `visible` (entering the viewport).
+ * When no value is given, the views are preloaded on `hover` or `focus`.
+ * When the link is clicked, the transition reuses the preloaded views.
+ * See [[StatePreload]] for details (including preloading `EAGER` resolves).
+ *
+ * #### Example:
+ * ```html
+ * <a ui-sref="inbox.messages" ui-sref-preload>Inbox</a>
+ * <a ui-sref="reports" ui-sref-preload="visible">Reports</a>
+ * ```
+ *
+ * ### Permissions
+ * Add the `ui-sref-unauthorized` attribute to hide or disable the link when the user is not authorized
+ * to activate the linked state (see [[Permissions]]).
+ *
+ * - `ui-sref-unauthorized="hide"` (the default) adds the `ng-hide` class to the link.
+ * - `ui-sref-unauthorized="disable"` adds the `disabled` class and `aria-disabled="true"` to the link, and ignores clicks.
+ *
+ * The permissions are checked when the link is created, and checked again when the linked state (or the parameter values) change,
+ * or when [[Permissions.refresh]] is called.
+ * The link is hidden (or disabled) until the permissions are checked.
+ *
+ * #### Example:
+ * ```html
+ * <a ui-sref="admin" ui-sref-unauthorized>Admin</a>
+ * <a ui-sref="reports" ui-sref-unauthorized="disable">Reports</a>
+ * ```
+ *
  * ### Highlighting the active link
  * This directive can be used in conjunction with [[uiSrefActive]] to highlight the active link.
  *
@@ -255,8 +366,8 @@ function bindEvents(element: IAugmentedJQuery, scope: IScope, hookFn: (e: JQuery
  * If you need to dynamically update the state being linked to, use the fully dynamic [[uiState]] directive.
  */
 let uiSref: ng1_directive;
-uiSref = ['$uiRouter', '$timeout',
-  function $StateRefDirective($uiRouter: UIRouter, $timeout: ITimeoutService) {
+uiSref = ['$uiRouter', '$timeout', '$statePreload', '$permission',
+  function $StateRefDirective($uiRouter: UIRouter, $timeout: ITimeoutService, $statePreload: StatePreload, $permission: Permissions) {
     let $state = $uiRouter.stateService;
 
     return {
@@ -270,6 +381,8 @@ uiSref = ['$uiRouter', '$timeout',
 
         let rawDef = {} as Def;
         let getDef = () => processedDef($state, element, rawDef);
+        let unauthorized = isDefined(attrs.uiSrefUnauthorized) ? bindUnauthorized(element, scope, $permission, attrs.uiSrefUnauthorized || 'hide') : null;
+        let isDisabled = () => !!unauthorized && unauthorized.isDisabled();
 
         let ref = parseStateRef(attrs.uiSref);
         rawDef.uiState = ref.state;
@@ -280,6 +393,7 @@ uiSref = ['$uiRouter', '$timeout',
           if (unlinkInfoFn) unlinkInfoFn();
           if (active) unlinkInfoFn = active.$$addStateInfo(def.uiState, def.uiStateParams);
           if (def.href != null) attrs.$set(type.attr, def.href);
+          if (unauthorized) unauthorized.update(def);
         }
 
         if (ref.paramExpr) {
@@ -295,8 +409,9 @@ uiSref = ['$uiRouter', '$timeout',
         scope.$on('$destroy', <any> $uiRouter.stateRegistry.onStatesChanged(update));
         scope.$on('$destroy', <any> $uiRouter.transitionService.onSuccess({}, update));
 
+        if (isDefined(attrs.uiSrefPreload)) bindPreload(element, scope, $statePreload, getDef, attrs.uiSrefPreload);
         if (!type.clickable) return;
-        hookFn = clickHook(element, $state, $timeout, type, getDef);
+        hookFn = clickHook(element, $state, $timeout, type, getDef, isDisabled);
         bindEvents(element, scope, hookFn, rawDef.uiStateOpts);
       }
     };
@@ -368,6 +483,14 @@ uiSref = ['$uiRouter', '$timeout',
  * <input type="text" ui-state="contacts" ui-state-opts="{ events: ['change', 'blur'] }">
  * ```
  *
+ * ### Preloading
+ * Add the `ui-state-preload` attribute to load the linked state's views before the link is clicked.
+ * This works the same as `ui-sref-preload` on a [[uiSref]].
+ *
+ * ### Permissions
+ * Add the `ui-state-unauthorized` attribute to hide or disable the link when the user is not authorized to activate the linked state.
+ * This works the same as `ui-sref-unauthorized` on a [[uiSref]].
+ *
  * ### Highlighting the active link
  * This directive can be used in conjunction with [[uiSrefActive]] to highlight the active link.
  *
@@ -387,8 +510,8 @@ uiSref = ['$uiRouter', '$timeout',
  * ```
  */
 let uiState: ng1_directive;
-uiState = ['$uiRouter', '$timeout',
-  function $StateRefDynamicDirective($uiRouter: UIRouter, $timeout: ITimeoutService) {
+uiState = ['$uiRouter', '$timeout', '$statePreload', '$permission',
+  function $StateRefDynamicDirective($uiRouter: UIRouter, $timeout: ITimeoutService, $statePreload: StatePreload, $permission: Permissions) {
     let $state = $uiRouter.stateService;
 
     return {
@@ -402,6 +525,8 @@ uiState = ['$uiRouter', '$timeout',
 
         let rawDef = {} as Def;
         let getDef = () => processedDef($state, element, rawDef);
+        let unauthorized = isDefined(attrs.uiStateUnauthorized) ? bindUnauthorized(element, scope, $permission, attrs.uiStateUnauthorized || 'hide') : null;
+        let isDisabled = () => !!unauthorized && unauthorized.isDisabled();
 
         let inputAttrs = ['uiState', 'uiStateParams', 'uiStateOpts'];
         let watchDeregFns = inputAttrs.reduce((acc, attr) => (acc[attr] = noop, acc), {});
@@ -411,6 +536,7 @@ uiState = ['$uiRouter', '$timeout',
           if (unlinkInfoFn) unlinkInfoFn();
           if (active) unlinkInfoFn = active.$$addStateInfo(def.uiState, def.uiStateParams);
           if (def.href != null) attrs.$set(type.attr, def.href);
+          if (unauthorized) unauthorized.update(def);
         }
 
         inputAttrs.forEach((field) => {
@@ -430,8 +556,9 @@ uiState = ['$uiRouter', '$timeout',
         scope.$on('$destroy', <any> $uiRouter.stateRegistry.onStatesChanged(update));
         scope.$on('$destroy', <any> $uiRouter.transitionService.onSuccess({}, update));
 
+        if (isDefined(attrs.uiStatePreload)) bindPreload(element, scope, $statePreload, getDef, attrs.uiStatePreload);
         if (!type.clickable) return;
-        hookFn = clickHook(element, $state, $timeout, type, getDef);
+        hookFn = clickHook(element, $state, $timeout, type, getDef, isDisabled);
         bindEvents(element, scope, hookFn, rawDef.uiStateOpts);
       }
     };
@@ -8,17 +8,29 @@ import { IInterpolateService, IScope, ITranscludeFunction, IAugmentedJQuery, ITi
 import {
     extend, unnestR, filter, tail, isDefined, isFunction, isString, trace, parse,
     ActiveUIView, TransitionService, ResolveContext, Transition, PathNode, StateDeclaration,
-    Param, kebobString, HookRegOptions, ViewService, $QLike, Obj, TypedMap, noop,
+    Param, kebobString, HookRegOptions, ViewService, $QLike, Obj, TypedMap, noop, find, ViewConfig, PathUtils, Resolvable,
 } from "@uirouter/core";
-import {Ng1ViewConfig} from "../statebuilders/views";
+import {Ng1ViewConfig, targetsUIView} from "../statebuilders/views";
 import {Ng1Controller, Ng1StateDeclaration} from "../interface";
 import {getLocals} from "../services";
 import { ng1_directive } from "./stateDirectives";
+import { UIViewAccessibility } from "../viewAccessibility";
+import { settleNative } from "../nativePromises";
+import { ResolveCache } from "../resolveCache";
+import { getComponentBindings, BindingTuple } from "../templateFactory";
+
+/** @hidden */
+export interface Ng1ActiveUIView extends ActiveUIView {
+  /** The `error-template` attribute of the `ui-view`, if any */
+  errorTemplate?: string;
+  /** The `loading-template` attribute of the `ui-view`, if any */
+  loadingTemplate?: string;
+}
 
 /** @hidden */
 export type UIViewData = {
   $cfg: Ng1ViewConfig;
-  $uiView: ActiveUIView;
+  $uiView: Ng1ActiveUIView;
 }
 
 /** @hidden */
@@ -28,6 +40,86 @@ export type UIViewAnimData = {
   $$animLeave: { resolve: () => any; } // "deferred"
 }
 
+/** @hidden The detached content of a `sticky` view, which is re-attached when the view is active again */
+type StickyView = {
+  config: Ng1ViewConfig;
+  element: JQuery;
+  scope: IScope;
+  scroll: ScrollPosition[];
+}
+
+/** @hidden */
+type ScrollPosition = { node: Element; top: number; left: number; };
+
+/** @hidden Two view configs are the same view if they have the same declaration and parameter values */
+const sameView = (config1: Ng1ViewConfig, config2: Ng1ViewConfig) =>
+    config1.viewDecl === config2.viewDecl && PathUtils.equals(config1.path, config2.path);
+
+/** @hidden Invokes a callback for a scope and all its descendant scopes */
+function forEachScope(scope: IScope, callback: (scope: IScope) => void) {
+  callback(scope);
+  for (let child = scope['$$childHead']; child; child = child['$$nextSibling']) {
+    forEachScope(child, callback);
+  }
+}
+
+/** @hidden The original `get` function of a paused watcher */
+const PAUSED_GET = '$$uiViewGet';
+
+/**
+ * @hidden
+ * Pauses the watchers of a scope (and its descendants) so `$digest` does not call their listeners
+ *
+ * AngularJS has no public API to pause watchers, so this depends on the private `$$watchers`, `$$childHead`
+ * and `$$nextSibling` properties of a scope, and the `get` and `last` properties of a watcher,
+ * which have been stable since AngularJS 1.2.
+ * The `get` function of each watcher is replaced by one which reports the last value, so the watcher never changes.
+ * The `$$watchers` arrays are kept, so a watcher can still be deregistered (i.e., a one-time binding),
+ * and a watcher which is added while the content is detached is added as usual (and is not paused).
+ * The scope stays in the scope tree, so events and `$destroy` still reach the detached scope.
+ */
+function suspendWatchers(scope: IScope) {
+  scope['$$uiViewSuspended'] = true;
+  forEachScope(scope, _scope => (_scope['$$watchers'] || []).filter(watcher => !watcher[PAUSED_GET]).forEach(watcher => {
+    watcher[PAUSED_GET] = watcher.get;
+    watcher.get = () => watcher.last;
+  }));
+}
+
+/** @hidden Resumes the watchers paused by [[suspendWatchers]] */
+function resumeWatchers(scope: IScope) {
+  delete scope['$$uiViewSuspended'];
+  forEachScope(scope, _scope => (_scope['$$watchers'] || []).filter(watcher => watcher[PAUSED_GET]).forEach(watcher => {
+    watcher.get = watcher[PAUSED_GET];
+    delete watcher[PAUSED_GET];
+  }));
+}
+
+/** @hidden Checks if a scope belongs to the detached content of a sticky view */
+function isSuspended(scope: IScope) {
+  for (let _scope = scope; _scope; _scope = _scope.$parent) {
+    if (_scope['$$uiViewSuspended']) return true;
+  }
+  return false;
+}
+
+/** @hidden Records the scroll positions of an element and its descendants */
+function saveScroll(element: JQuery): ScrollPosition[] {
+  let root: Element = element[0];
+  let nodes: Element[] = [root].concat(root.querySelectorAll ? Array.prototype.slice.call(root.querySelectorAll('*')) : []);
+  return nodes
+      .filter(node => node.scrollTop || node.scrollLeft)
+      .map(node => ({ node, top: node.scrollTop, left: node.scrollLeft }));
+}
+
+/** @hidden */
+function restoreScroll(positions: ScrollPosition[]) {
+  positions.forEach(pos => {
+    pos.node.scrollTop = pos.top;
+    pos.node.scrollLeft = pos.left;
+  });
+}
+
 /**
  * `ui-view`: A viewport directive which is filled in by a view from the active state.
  *
@@ -43,6 +135,15 @@ export type UIViewAnimData = {
  *
  * - `onload`: Expression to evaluate whenever the view updates.
  *
+ * - `loading-template`: an html template which is rendered while a transition loads the view.
+ *   The template is rendered in a `<div class="ui-view-loading">`, next to the current content.
+ *   See [[Ng1ViewDeclaration.loadingTemplate]].
+ *
+ * - `error-template`: an html template which is rendered if the view fails to load.
+ *   The error is available on the scope as `$error`.
+ *   The `ui-view` must already be rendered when the view loads, i.e., it is in the template of a retained parent state.
+ *   See [[Ng1ViewDeclaration.errorTemplate]].
+ *
  * #### Example:
  * A view can be unnamed or named.
  * ```html
@@ -121,6 +222,18 @@ export type UIViewAnimData = {
  * })
  * ```
  *
+ * #### Example for `loading-template`:
+ * ```html
+ * <ui-view loading-template="<div class='spinner'></div>"></ui-view>
+ * ```
+ *
+ * #### Example for `error-template`:
+ * If the widget's template or `controllerProvider` fails, only this `ui-view` shows the error.
+ * The other views of the state are still rendered.
+ * ```html
+ * <ui-view name="widget" error-template="<p class='error'>Unavailable: {{ $error.status }}</p>"></ui-view>
+ * ```
+ *
  * #### Examples for `autoscroll`:
  * ```html
  * <!-- If autoscroll present with no expression,
@@ -152,10 +265,24 @@ export type UIViewAnimData = {
  *   }
  * });
  * ```
+ *
+ * ### Sticky views
+ *
+ * When a [[Ng1ViewDeclaration.sticky]] view is deactivated, the `ui-view` detaches its content instead of destroying it.
+ * The watchers of the content's scope are paused while it is detached.
+ * When the view is activated again (with the same parameter values) the content is re-attached,
+ * with its scroll positions and form state intact.
+ * The `ui-view` keeps a single detached instance of each view: the instance for other parameter values is destroyed.
+ *
+ * ### Accessibility
+ *
+ * When enabled using [[UIViewAccessibility.enable]], the `ui-view` moves focus to the new content after a transition,
+ * and the new page title is announced to screen readers.
  */
 export let uiView: ng1_directive;
-uiView = ['$view', '$animate', '$uiViewScroll', '$interpolate', '$q',
-function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $interpolate: IInterpolateService, $q: $QLike) {
+uiView = ['$view', '$animate', '$uiViewScroll', '$interpolate', '$q', '$transitions', '$uiViewAccessibility', '$compile',
+function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $interpolate: IInterpolateService, $q: $QLike,
+                        $transitions: TransitionService, $uiViewAccessibility: UIViewAccessibility, $compile: angular.ICompileService) {
 
   function getRenderer(attrs: Obj, scope: IScope) {
     return {
@@ -196,6 +323,10 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
       return function (scope: IScope, $element: IAugmentedJQuery, attrs: Obj) {
         let previousEl: JQuery, currentEl: JQuery,
             currentScope: IScope, unregister: Function,
+            loadingTrans: Transition = null,
+            loadingEl: JQuery, loadingScope: IScope,
+            stickyViews: StickyView[] = [],
+            suspendedUpdate = false,
             onloadExp     = attrs['onload'] || '',
             autoScrollExp = attrs['autoscroll'],
             renderer      = getRenderer(attrs, scope),
@@ -203,13 +334,15 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
             inherited     = $element.inheritedData('$uiView') || rootData,
             name          = $interpolate(attrs['uiView'] || attrs['name'] || '')(scope) || '$default';
 
-        let activeUIView: ActiveUIView = {
+        let activeUIView: Ng1ActiveUIView = {
           $type: 'ng1',
           id: directive.count++,                                   // Global sequential ID for ui-view tags added to DOM
           name: name,                                              // ui-view name (<div ui-view="name"></div>
           fqn: inherited.$uiView.fqn ? inherited.$uiView.fqn + "." + name : name, // fully qualified name, describes location in DOM
           config: null,                                            // The ViewConfig loaded (from a state.views definition)
           configUpdated: configUpdatedCallback,                    // Called when the matching ViewConfig changes
+          errorTemplate: attrs['errorTemplate'],                   // Rendered when the ViewConfig failed to load
+          loadingTemplate: attrs['loadingTemplate'],               // Rendered while a transition loads the ViewConfig
           get creationContext() {                                  // The context in which this ui-view "tag" was created
             let fromParentTagConfig = parse('$cfg.viewDecl.$context')(inherited);
             // Allow <ui-view name="foo"><ui-view name="bar"></ui-view></ui-view>
@@ -224,9 +357,25 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
         function configUpdatedCallback(config?: Ng1ViewConfig) {
           if (config && !(config instanceof Ng1ViewConfig)) return;
           if (configsEqual(viewConfig, config)) return;
+
+          // This ui-view is inside the detached content of a sticky view: keep the content as-is
+          if (isSuspended(scope)) {
+            suspendedUpdate = true;
+            return;
+          }
+          // The sticky view was re-attached and this ui-view still shows the view being activated
+          if (suspendedUpdate && config && viewConfig && sameView(viewConfig, config)) {
+            suspendedUpdate = false;
+            viewConfig = config;
+            currentEl.data('$uiView').$cfg = config;
+            return;
+          }
+
+          suspendedUpdate = false;
           trace.traceUIViewConfigUpdated(activeUIView, config && config.viewDecl && config.viewDecl.$context);
 
           viewConfig = config;
+          hideLoading();
           updateView(config);
         }
 
@@ -235,11 +384,46 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
         updateView();
 
         unregister = $view.registerUIView(activeUIView);
+        // Run before the eager resolves (which are fetched by an onStart hook with priority 1000)
+        let deregisterLoading = $transitions.onStart({}, showLoading, { priority: 1001 });
         scope.$on("$destroy", function() {
           trace.traceUIViewEvent("Destroying/Unregistering", activeUIView);
           unregister();
+          deregisterLoading();
+          hideLoading();
+          stickyViews.forEach(destroySticky);
+          stickyViews = [];
         });
 
+        // Render a loading placeholder next to the current content when a transition which targets this ui-view starts.
+        // The current content stays live, so it is still intact if the transition fails.
+        function showLoading(trans: Transition) {
+          let config = <Ng1ViewConfig> find(trans.views('entering'), (cfg: ViewConfig) =>
+              cfg instanceof Ng1ViewConfig && targetsUIView(cfg, activeUIView));
+          let template = config && config.getLoadingTemplate(activeUIView);
+          if (!template) return;
+
+          hideLoading();
+          trace.traceUIViewEvent("Rendering loading placeholder", activeUIView);
+          loadingTrans = trans;
+          loadingScope = scope.$new();
+          loadingEl = angular.element('<div class="ui-view-loading"></div>').html(template);
+          $compile(loadingEl.contents())(loadingScope);
+          renderer.enter(loadingEl, currentEl || $element, noop);
+
+          // Remove the placeholder when the transition is done, even if it did not deliver the view (i.e., it failed)
+          const done = () => { if (loadingTrans === trans) hideLoading(); };
+          trans.promise.then(done, done);
+        }
+
+        function hideLoading() {
+          if (!loadingEl) return;
+          trace.traceUIViewEvent("Removing loading placeholder", activeUIView);
+          loadingScope.$destroy();
+          renderer.leave(loadingEl, noop);
+          loadingEl = loadingScope = loadingTrans = null;
+        }
+
         function cleanupLastView() {
           if (previousEl) {
             trace.traceUIViewEvent("Removing (previous) el", previousEl.data('$uiView'));
@@ -247,6 +431,11 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
             previousEl = null;
           }
 
+          let currentConfig: Ng1ViewConfig = currentEl && currentEl.data('$uiView').$cfg;
+          if (currentScope && currentConfig && currentConfig.viewDecl.sticky && !currentConfig.error) {
+            return detachView(currentConfig);
+          }
+
           if (currentScope) {
             trace.traceUIViewEvent("Destroying scope", activeUIView);
             currentScope.$destroy();
@@ -266,21 +455,70 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
           }
         }
 
+        // Detaches the (sticky) current content, keeping its element and scope for when the view is active again
+        function detachView(config: Ng1ViewConfig) {
+          trace.traceUIViewEvent("Detaching sticky view", activeUIView);
+          let sticky: StickyView = { config, element: currentEl, scope: currentScope, scroll: saveScroll(currentEl) };
+          suspendWatchers(currentScope);
+          let node: Node = currentEl[0];
+          if (node.parentNode) node.parentNode.removeChild(node);
+
+          // Keep a single detached instance of a view declaration: replace the older one (i.e., for other parameter values)
+          const sameDecl = (x: StickyView) => x.config.viewDecl === config.viewDecl;
+          stickyViews.filter(sameDecl).forEach(destroySticky);
+          stickyViews = stickyViews.filter(x => !sameDecl(x)).concat(sticky);
+          currentEl = currentScope = null;
+        }
+
+        // Destroys the detached content of a sticky view
+        function destroySticky(sticky: StickyView) {
+          sticky.scope.$destroy();
+          sticky.element.remove();
+        }
+
+        // Re-attaches the detached content of a sticky view
+        function reattachView(sticky: StickyView, config: Ng1ViewConfig) {
+          trace.traceUIViewEvent("Re-attaching sticky view", activeUIView);
+          stickyViews = stickyViews.filter(x => x !== sticky);
+          let anim = animData();
+          sticky.element.data('$uiViewAnim', anim.data);
+          sticky.element.data('$uiView').$cfg = config;
+
+          renderer.enter(sticky.element, $element, function onUIViewEnter() {
+            anim.enter.resolve();
+            restoreScroll(sticky.scroll);
+            $uiViewAccessibility.viewEntered(sticky.element);
+          });
+          cleanupLastView();
+
+          resumeWatchers(sticky.scope);
+          restoreScroll(sticky.scroll);
+          currentEl = sticky.element;
+          currentScope = sticky.scope;
+        }
+
+        function animData() {
+          let animEnter = $q.defer(), animLeave = $q.defer();
+          let data: UIViewAnimData = {
+            $animEnter: animEnter.promise,
+            $animLeave: animLeave.promise,
+            $$animLeave: animLeave
+          };
+          return { data, enter: animEnter };
+        }
+
         function updateView(config?: Ng1ViewConfig) {
+          let sticky = config && find(stickyViews, x => sameView(x.config, config));
+          if (sticky) return reattachView(sticky, config);
+
           let newScope = scope.$new();
-          let animEnter = $q.defer(), animLeave = $q.defer();
+          let anim = animData();
 
           let $uiViewData: UIViewData = {
             $cfg: config,
             $uiView: activeUIView,
           };
 
-          let $uiViewAnim: UIViewAnimData = {
-            $animEnter: animEnter.promise,
-            $animLeave: animLeave.promise,
-            $$animLeave: animLeave
-          };
-
           /**
            * @ngdoc event
            * @name ui.router.state.directive:ui-view#$viewContentLoading
@@ -296,12 +534,12 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
           newScope.$emit('$viewContentLoading', name);
 
           let cloned = $transclude(newScope, function(clone) {
-            clone.data('$uiViewAnim', $uiViewAnim);
+            clone.data('$uiViewAnim', anim.data);
             clone.data('$uiView', $uiViewData);
             renderer.enter(clone, $element, function onUIViewEnter() {
-              animEnter.resolve();
+              anim.enter.resolve();
               if (currentScope) currentScope.$emit('$viewContentAnimationEnded');
-
+              $uiViewAccessibility.viewEntered(clone);
               if (isDefined(autoScrollExp) && !autoScrollExp || scope.$eval(autoScrollExp)) {
                 $uiViewScroll(clone);
               }
@@ -332,14 +570,15 @@ function $ViewDirective($view: ViewService, $animate: any, $uiViewScroll: any, $
   return directive;
 }];
 
-$ViewDirectiveFill.$inject = ['$compile', '$controller', '$transitions', '$view', '$q', '$timeout'];
+$ViewDirectiveFill.$inject = ['$compile', '$controller', '$transitions', '$view', '$q', '$timeout', '$resolveCache'];
 /** @hidden */
 function $ViewDirectiveFill($compile: angular.ICompileService,
                             $controller: angular.IControllerService,
                             $transitions: TransitionService,
                             $view: ViewService,
                             $q: angular.IQService,
-                            $timeout: ITimeoutService) {
+                            $timeout: ITimeoutService,
+                            $resolveCache: ResolveCache) {
   const getControllerAs = parse('viewDecl.controllerAs');
   const getResolveAs = parse('viewDecl.resolveAs');
 
@@ -359,6 +598,16 @@ function $ViewDirectiveFill($compile: angular.ICompileService,
         }
 
         let cfg: Ng1ViewConfig = data.$cfg || <any> { viewDecl: {}, getTemplate: noop };
+
+        // The view failed to load, but has an error fallback: render the error template instead
+        if (cfg.error) {
+          scope['$error'] = cfg.error;
+          $element.html(cfg.getErrorTemplate(data.$uiView) || '');
+          trace.traceUIViewFill(data.$uiView, $element.html());
+          $compile($element.contents())(scope);
+          return;
+        }
+
         let resolveCtx: ResolveContext = cfg.path && new ResolveContext(cfg.path);
         $element.html(cfg.getTemplate($element, resolveCtx) || initial);
         trace.traceUIViewFill(data.$uiView, $element.html());
@@ -371,6 +620,25 @@ function $ViewDirectiveFill($compile: angular.ICompileService,
 
         scope[resolveAs] = locals;
 
+        // The routed component's controller (once it appears in the DOM)
+        let componentInstance: Ng1Controller;
+
+        // Update the resolve data (and the inputs of a routed component) when the resolves of the view's retained states change
+        if (resolveCtx) onResolvesChanged($transitions, scope, cfg, (newValues: TypedMap<any>) => {
+          extend(locals, newValues);
+          // Inputs which are bound live are updated by their watchers
+          if (componentInstance && cfg.viewDecl.bindingMode !== 'live') updateComponentInputs(componentInstance, $element, cfg, newValues);
+        });
+
+        // Update the resolve data when a resolve of the view is revalidated (see ResolveCachePolicy.staleWhileRevalidate)
+        if (resolveCtx) {
+          let resolvables = cfg.path.map(node => node.resolvables).reduce(unnestR, []);
+          const resolveUpdated = (resolvable: Resolvable, value: any) => {
+            if (resolvables.indexOf(resolvable) !== -1 && isString(resolvable.token)) locals[resolvable.token] = value;
+          };
+          scope.$on('$destroy', <any> $resolveCache.onUpdated(resolveUpdated));
+        }
+
         if (controller) {
           let controllerInstance = <Ng1Controller> $controller(controller, extend({}, locals, { $scope: scope, $element: $element }));
           if (controllerAs) {
@@ -386,7 +654,7 @@ function $ViewDirectiveFill($compile: angular.ICompileService,
           $element.data('$ngControllerController', controllerInstance);
           $element.children().data('$ngControllerController', controllerInstance);
 
-          registerControllerCallbacks($q, $transitions, controllerInstance, scope, cfg);
+          registerControllerCallbacks($q, $transitions, $resolveCache, controllerInstance, scope, cfg);
         }
 
         // Wait for the component to appear in the DOM
@@ -404,7 +672,8 @@ function $ViewDirectiveFill($compile: angular.ICompileService,
 
           let deregisterWatch = scope.$watch(getComponentController, function(ctrlInstance) {
             if (!ctrlInstance) return;
-            registerControllerCallbacks($q, $transitions, ctrlInstance, scope, cfg);
+            componentInstance = ctrlInstance;
+            registerControllerCallbacks($q, $transitions, $resolveCache, ctrlInstance, scope, cfg);
             deregisterWatch();
           });
         }
@@ -420,9 +689,69 @@ let hasComponentImpl = typeof (angular as any).module('ui.router')['component']
 /** @hidden incrementing id */
 let _uiCanExitId = 0;
 
+/**
+ * @hidden
+ * Registers a callback for the resolve data of a view which changed while the view's state was retained,
+ * i.e., a resolve of a retained state which was replaced (and fetched again) using `Transition.addResolvable()`
+ */
+function onResolvesChanged($transitions: TransitionService,
+                           $scope: IScope,
+                           cfg: Ng1ViewConfig,
+                           callback: (newValues: TypedMap<any>, $transition$: Transition) => void) {
+  let viewState = tail(cfg.path).state;
+
+  // The resolved resolvables of a path (except the root state's), by token
+  const resolvedByToken = (path: PathNode[]): TypedMap<Resolvable> => path.slice(1)
+      .map(node => node.resolvables)
+      .reduce(unnestR, [])
+      .filter((resolvable: Resolvable) => isString(resolvable.token) && resolvable.resolved)
+      .reduce((acc: TypedMap<Resolvable>, resolvable: Resolvable) => extend(acc, { [resolvable.token]: resolvable }), {});
+
+  let current = resolvedByToken(cfg.path);
+
+  const resolvesChanged = ($transition$: Transition) => {
+    let path = $transition$.treeChanges().to;
+    let idx = path.map(node => node.state).indexOf(viewState);
+    // Exit early if the $transition$ exits (or reloads) the state the view is for.
+    if (idx === -1 || $transition$.entering().indexOf(viewState.self) !== -1) return;
+
+    let resolvables = resolvedByToken(path.slice(0, idx + 1));
+    let changed = Object.keys(resolvables).filter(token => !current[token] || current[token].data !== resolvables[token].data);
+    current = resolvables;
+
+    if (changed.length) {
+      callback(changed.reduce((acc, token) => extend(acc, { [token]: resolvables[token].data }), {}), $transition$);
+    }
+  };
+  $scope.$on('$destroy', <any> $transitions.onSuccess({}, resolvesChanged));
+}
+
+/**
+ * @hidden
+ * Assigns the changed resolve data to the one-way (`<`) inputs of a routed component.
+ * The inputs are bound once (see TemplateFactory.makeComponentTemplate), so they do not update by themselves.
+ */
+function updateComponentInputs(componentInstance: any, $element: JQuery, cfg: Ng1ViewConfig, newValues: TypedMap<any>) {
+  let bindings = cfg.viewDecl.bindings || {};
+  const resolveName = (input: BindingTuple) => bindings[input.name] || input.name;
+  // Inputs which the ui-view wires to its own attributes are not bound to resolve data
+  const isWiredByUiView = (input: BindingTuple) => !bindings[input.name] && !!$element.attr(kebobString(input.name));
+
+  let changes = getComponentBindings(cfg.viewDecl.component)
+      .filter(input => input.type === '<' && !isWiredByUiView(input) && newValues.hasOwnProperty(resolveName(input)))
+      .reduce((acc, input) => {
+        let currentValue = newValues[resolveName(input)], previousValue = componentInstance[input.prop];
+        componentInstance[input.prop] = currentValue;
+        return extend(acc, { [input.prop]: { currentValue, previousValue, isFirstChange: () => false } });
+      }, {});
+
+  if (Object.keys(changes).length && isFunction(componentInstance.$onChanges)) componentInstance.$onChanges(changes);
+}
+
 /** @hidden TODO: move these callbacks to $view and/or `/hooks/components.ts` or something */
 function registerControllerCallbacks($q: angular.IQService,
                                      $transitions: TransitionService,
+                                     $resolveCache: ResolveCache,
                                      controllerInstance: Ng1Controller,
                                      $scope: IScope,
                                      cfg: Ng1ViewConfig) {
@@ -467,6 +796,22 @@ function registerControllerCallbacks($q: angular.IQService,
     $scope.$on('$destroy', <any> $transitions.onSuccess({}, paramsUpdated, hookOptions));
   }
 
+  // Add component-level callback for revalidated resolve data (see ResolveCachePolicy.staleWhileRevalidate)
+  if (isFunction(controllerInstance.uiOnResolveUpdated)) {
+    let resolvables = cfg.path.map(node => node.resolvables).reduce(unnestR, []);
+
+    const resolveUpdated = (resolvable: Resolvable, data: any) => {
+      if (resolvables.indexOf(resolvable) !== -1) controllerInstance.uiOnResolveUpdated({ [resolvable.token]: data });
+    };
+    $scope.$on('$destroy', <any> $resolveCache.onUpdated(resolveUpdated));
+  }
+
+  // Add component-level hook for resolves which changed while the view's state was retained
+  if (isFunction(controllerInstance.uiOnResolvesChanged)) {
+    onResolvesChanged($transitions, $scope, cfg, (newValues: TypedMap<any>, $transition$: Transition) =>
+        controllerInstance.uiOnResolvesChanged(newValues, $transition$));
+  }
+
   // Add component-level hook for uiCanExit
   if (isFunction(controllerInstance.uiCanExit)) {
     let id = _uiCanExitId++;
@@ -480,7 +825,8 @@ function registerControllerCallbacks($q: angular.IQService,
     const wrappedHook = (trans: Transition) => {
       let promise, ids = trans[cacheProp] = trans[cacheProp] || {};
       if (!prevTruthyAnswer(trans)) {
-        promise = $q.when(controllerInstance.uiCanExit(trans));
+        // An async uiCanExit (a native promise) is settled in a digest, when the native promise mode is enabled
+        promise = $q.when(settleNative(controllerInstance.uiCanExit).call(controllerInstance, trans));
         promise.then(val => ids[id] = (val !== false));
       }
       return promise;
@@ -0,0 +1,82 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { IWindowService } from "angular";
+import { Transition, isDefined, services } from "@uirouter/core";
+
+/**
+ * A confirm dialog for the [[directives.uiDirtyGuard]] directive
+ *
+ * A function which asks the user to confirm leaving a form with unsaved changes.
+ * It returns a promise for `true` if the user chooses to leave.
+ */
+export type DirtyGuardConfirm = (message: string, trans: Transition) => Promise<boolean> | boolean;
+
+/**
+ * Asks the user to confirm leaving a form with unsaved changes
+ *
+ * This service is used by the [[directives.uiDirtyGuard]] directive when a transition exits the state of a `$dirty` form.
+ *
+ * By default, the user is asked using `window.confirm()`.
+ * To use a custom (async) confirm dialog, register an angular service which is a [[DirtyGuardConfirm]] function,
+ * and configure it using [[useConfirm]].
+ *
+ * #### Example:
+ * ```js
+ * app.factory('confirmLeave', function(ModalService) {
+ *   return function(message, trans) {
+ *     return ModalService.confirm({ title: 'Unsaved changes', text: message });
+ *   };
+ * });
+ *
+ * app.config(function($uiDirtyGuardProvider) {
+ *   $uiDirtyGuardProvider.useConfirm('confirmLeave');
+ *   $uiDirtyGuardProvider.defaultMessage('Discard your changes?');
+ * });
+ * ```
+ */
+export class UIDirtyGuard {
+  /** @hidden */ private _message = 'You have unsaved changes. Do you want to leave this page?';
+  /** @hidden */ private _confirmService: string = null;
+  /** @hidden */ private _confirm: DirtyGuardConfirm;
+
+  /** @hidden */ $get = ['$injector', '$window', ($injector: angular.auto.IInjectorService, $window: IWindowService) => {
+    this._confirm = this._confirmService ? $injector.get(this._confirmService) : (message: string) => $window.confirm(message);
+    return this;
+  }];
+
+  /**
+   * Gets or sets the default confirm message
+   *
+   * The message can also be set for a form, using the value of the `ui-dirty-guard` attribute.
+   *
+   * @param message the new default message
+   * @return the default message
+   */
+  defaultMessage(message?: string): string {
+    if (isDefined(message)) this._message = message;
+    return this._message;
+  }
+
+  /**
+   * Uses a custom confirm dialog
+   *
+   * @param serviceName the name of an angular service which is a [[DirtyGuardConfirm]] function
+   */
+  useConfirm(serviceName: string) {
+    this._confirmService = serviceName;
+  }
+
+  /**
+   * Asks the user to confirm leaving a form with unsaved changes
+   *
+   * @param message the message (or `undefined` for the [[defaultMessage]])
+   * @param trans the transition which leaves the form
+   * @return a promise for `true` if the user chooses to leave
+   */
+  confirm(message: string, trans: Transition): Promise<boolean> {
+    let result = services.$q.when().then(() => this._confirm(message || this._message, trans));
+    return result.then(leave => leave === true, () => false);
+  }
+}
+
+angular.module('ui.router.state').provider('$uiDirtyGuard', () => new UIDirtyGuard());
@@ -0,0 +1,91 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { IQService, IWindowService } from "angular";
+import {
+  Transition, TransitionService, PathNode, ResolveContext, TypedMap, extend, forEach, isDefined
+} from "@uirouter/core";
+import { getLocals, interpolateOrInvoke } from "./services";
+import { Ng1StateDeclaration } from "./interface";
+
+/** @hidden The original state of a `<meta>` tag, before it was updated from a state's `meta` */
+interface ManagedMetaTag {
+  element: Element;
+  /** The original `content`, or `null` if the tag was created */
+  original: string;
+}
+
+/**
+ * @hidden
+ * Registers the success hook which updates `document.title` and `<meta>` tags
+ * from the `title` and `meta` properties of the active states ([[Ng1StateDeclaration.title]]).
+ */
+function registerDocumentMetaHook($transitions: TransitionService, $q: IQService, $window: IWindowService) {
+  let document = $window.document;
+  let originalTitle: string = null;
+  let managedTags: TypedMap<ManagedMetaTag> = {};
+  let latest: Transition = null;
+
+  function setTitle(title: string) {
+    if (originalTitle === null) originalTitle = document.title;
+    document.title = isDefined(title) ? title : originalTitle;
+  }
+
+  // Keys like `og:title` use the `property` attribute
+  const metaAttr = (key: string) => key.indexOf(':') === -1 ? 'name' : 'property';
+
+  function setMeta(key: string, content: string) {
+    let managed = managedTags[key];
+    if (!managed) {
+      let element = document.head.querySelector(`meta[${metaAttr(key)}="${key}"]`);
+      managed = managedTags[key] = { element, original: element ? element.getAttribute('content') : null };
+    }
+    if (!managed.element) {
+      managed.element = document.createElement('meta');
+      managed.element.setAttribute(metaAttr(key), key);
+      document.head.appendChild(managed.element);
+    }
+    managed.element.setAttribute('content', content);
+  }
+
+  function resetMeta(key: string) {
+    let managed = managedTags[key];
+    if (managed.original === null) {
+      if (managed.element.parentNode) managed.element.parentNode.removeChild(managed.element);
+    } else {
+      managed.element.setAttribute('content', managed.original);
+    }
+    delete managedTags[key];
+  }
+
+  $transitions.onSuccess({}, (trans: Transition) => {
+    latest = trans;
+    let path: PathNode[] = trans.treeChanges('to');
+    let locals = extend(getLocals(new ResolveContext(path)), { $transition$: trans });
+
+    // The value of each property, from the deepest state which defines it
+    let title: string | Function, titleState: Ng1StateDeclaration;
+    let meta: TypedMap<{ value: string | Function, state: Ng1StateDeclaration }> = {};
+    path.map(node => <Ng1StateDeclaration> node.state.self).forEach(state => {
+      if (isDefined(state.title)) {
+        title = <any> state.title;
+        titleState = state;
+      }
+      forEach(state.meta || {}, (value, key: string) => meta[key] = { value: <any> value, state });
+    });
+
+    let titlePromise = title ? interpolateOrInvoke(title, extend({ $state$: titleState }, locals)) : $q.when(undefined);
+    let metaKeys = Object.keys(meta);
+    let metaPromises: any[] = metaKeys.map(key => interpolateOrInvoke(meta[key].value, extend({ $state$: meta[key].state }, locals)));
+
+    $q.all([titlePromise, $q.all(metaPromises)]).then(([newTitle, metaValues]: any[]) => {
+      // A newer transition has already succeeded
+      if (latest !== trans) return;
+      if (isDefined(newTitle) || originalTitle !== null) setTitle(newTitle);
+
+      metaKeys.forEach((key, idx) => setMeta(key, metaValues[idx]));
+      Object.keys(managedTags).filter(key => metaKeys.indexOf(key) === -1).forEach(resetMeta);
+    }).catch(trans.router.stateService.defaultErrorHandler());
+  });
+}
+
+angular.module('ui.router.state').run(['$transitions', '$q', '$window', registerDocumentMetaHook]);
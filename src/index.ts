@@ -8,12 +8,28 @@ export * from "./services";
 export * from "./statebuilders/views";
 export * from "./stateProvider";
 export * from "./urlRouterProvider";
+export * from "./urlNormalization";
+export * from "./urlRuleDescription";
+export * from "./statePreload";
+export * from "./paramTypes";
+export * from "./paramSchema";
+export * from "./localizedUrl";
+export * from "./viewAccessibility";
+export * from "./breadcrumbs";
+export * from "./permission";
+export * from "./pendingTarget";
+export * from "./dirtyGuard";
+export * from "./nativePromises";
+export * from "./resolveCache";
 
 import "./injectables";
 import "./directives/stateDirectives";
 import "./stateFilters";
 import "./directives/viewDirective";
+import "./directives/breadcrumbsDirective";
+import "./directives/dirtyGuardDirective";
 import "./viewScroll";
+import "./documentMeta";
 
 export default "ui.router";
 
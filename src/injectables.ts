@@ -14,6 +14,12 @@
  * - [[$urlServiceProvider]]: All URL related public APIs
  *
  * - [[$uiViewScrollProvider]]: Disable ui-router view scrolling
+ * - [[$statePreloadProvider]]: Configure view preloading
+ * - [[$uiViewAccessibilityProvider]]: Enable focus management and route change announcements
+ * - [[$permissionProvider]]: Register permission resolvers
+ * - [[$pendingTargetProvider]]: Configure which redirects save the pending target
+ * - [[$uiDirtyGuardProvider]]: Configure the confirm dialog for forms with unsaved changes
+ * - [[$nativePromisesProvider]]: Enable native Promise (and async function) support
  * - [[$urlRouterProvider]]: (deprecated) Url matching rules
  * - [[$urlMatcherFactoryProvider]]: (deprecated) Url parsing config
  *
@@ -28,6 +34,14 @@
  * - [[$urlService]]: All URL related public APIs
  * - [[$uiRouterGlobals]]: Global variables
  * - [[$uiViewScroll]]: Scroll an element into view
+ * - [[$statePreload]]: Preload the views of a state
+ * - [[$uiViewAccessibility]]: Focus and announce the new content after a transition
+ * - [[$breadcrumbs]]: The breadcrumbs of the active states
+ * - [[$permission]]: Check the permissions required to activate a state
+ * - [[$pendingTarget]]: The target to return to, after a redirect to a login state
+ * - [[$uiDirtyGuard]]: Confirm leaving a form with unsaved changes
+ * - [[$nativePromises]]: Settle native promises in a digest
+ * - [[$resolveCache]]: Cache resolve data across transitions
  *
  * - [[$stateParams]]: (deprecated) Global state param values
  * - [[$urlRouter]]: (deprecated) URL synchronization
@@ -57,6 +71,14 @@ import {
     StateParams, StateRegistry, UIRouterGlobals, UIRouter, Trace, UrlService
 } from "@uirouter/core";
 import { UIViewScrollProvider } from "./viewScroll";
+import { StatePreload } from "./statePreload";
+import { UIViewAccessibility } from "./viewAccessibility";
+import { Breadcrumbs } from "./breadcrumbs";
+import { Permissions } from "./permission";
+import { PendingTarget } from "./pendingTarget";
+import { UIDirtyGuard } from "./dirtyGuard";
+import { NativePromises } from "./nativePromises";
+import { ResolveCache } from "./resolveCache";
 import { UrlRouterProvider } from "./urlRouterProvider";
 
 /**
@@ -280,10 +302,152 @@ var $uiViewScrollProvider: UIViewScrollProvider;
  * If you prefer to rely on `$anchorScroll` to scroll the view to the anchor,
  * this can be enabled by calling [[UIViewScrollProvider.useAnchorScroll]].
  *
+ * When the url has a `#hash`, the element matching the hash is scrolled to instead, once the views have rendered.
+ * See [[UIViewScrollProvider.scrollOffset]].
+ *
+ * To restore the scroll positions when navigating back and forward through the browser history,
+ * call [[UIViewScrollProvider.useScrollRestoration]].
+ *
  * Note: this function is used by the [[directives.uiView]] when the `autoscroll` expression evaluates to true.
  */
 var $uiViewScroll: ($element: JQuery) => void;
 
+/**
+ * The State Preload provider
+ *
+ * The [[StatePreload]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to configure whether `EAGER` resolves are preloaded, using [[StatePreload.preloadResolves]].
+ */
+var $statePreloadProvider: StatePreload;
+
+/**
+ * The State Preload service
+ *
+ * The [[StatePreload]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * This service loads the views of a state before the state is activated.
+ *
+ * Note: this service is used by the [[directives.uiSref]] directive when `ui-sref-preload` is present.
+ */
+var $statePreload: StatePreload;
+
+/**
+ * The View Accessibility provider
+ *
+ * The [[UIViewAccessibility]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to enable focus management and route change announcements, using [[UIViewAccessibility.enable]].
+ */
+var $uiViewAccessibilityProvider: UIViewAccessibility;
+
+/**
+ * The View Accessibility service
+ *
+ * The [[UIViewAccessibility]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * Note: this service is used by the [[directives.uiView]] directive after the views of a transition have entered.
+ */
+var $uiViewAccessibility: UIViewAccessibility;
+
+/**
+ * The Breadcrumbs service
+ *
+ * The [[Breadcrumbs]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * This service provides the breadcrumbs of the active states, which are updated after each successful transition.
+ *
+ * Note: this service is used by the [[directives.uiBreadcrumbs]] directive.
+ */
+var $breadcrumbs: Breadcrumbs;
+
+/**
+ * The Permission provider
+ *
+ * The [[Permissions]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to register permission resolvers (using [[Permissions.define]]),
+ * and to configure the unauthorized state and the login state.
+ */
+var $permissionProvider: Permissions;
+
+/**
+ * The Permission service
+ *
+ * The [[Permissions]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * This service checks the permissions (declared as `data.permissions`) required to activate a state.
+ *
+ * Note: this service is used by the [[directives.uiSref]] directive when `ui-sref-unauthorized` is present.
+ */
+var $permission: Permissions;
+
+/**
+ * The Pending Target provider
+ *
+ * The [[PendingTarget]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to configure which redirects save the pending target (using [[PendingTarget.captureRedirectsTo]]),
+ * and to persist the pending target to `sessionStorage` (using [[PendingTarget.useSessionStorage]]).
+ */
+var $pendingTargetProvider: PendingTarget;
+
+/**
+ * The Pending Target service
+ *
+ * The [[PendingTarget]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * This service remembers the original target of a transition which was redirected to a login state.
+ *
+ * Note: [[StateService.resumePending]] activates the pending target.
+ */
+var $pendingTarget: PendingTarget;
+
+/**
+ * The Dirty Guard provider
+ *
+ * The [[UIDirtyGuard]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to configure the default confirm message, and to use a custom confirm dialog (using [[UIDirtyGuard.useConfirm]]).
+ */
+var $uiDirtyGuardProvider: UIDirtyGuard;
+
+/**
+ * The Dirty Guard service
+ *
+ * The [[UIDirtyGuard]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * Note: this service is used by the [[directives.uiDirtyGuard]] directive to ask before leaving a form with unsaved changes.
+ */
+var $uiDirtyGuard: UIDirtyGuard;
+
+/**
+ * The Native Promises provider
+ *
+ * The [[NativePromises]] singleton as a **Provider Object** (injectable during config time).
+ *
+ * This is used to enable the native promise mode (using [[NativePromises.enable]]).
+ */
+var $nativePromisesProvider: NativePromises;
+
+/**
+ * The Native Promises service
+ *
+ * The [[NativePromises]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * Note: this service converts the native promises of resolves, hooks and view providers to `$q` promises, which settle in a digest.
+ */
+var $nativePromises: NativePromises;
+
+/**
+ * The Resolve Cache service
+ *
+ * The [[ResolveCache]] singleton as a **Service Object** (injectable during runtime).
+ *
+ * This service caches the data of the resolves which have a [[ResolveCachePolicy]], and is used to invalidate the cached data.
+ */
+var $resolveCache: ResolveCache;
+
 /**
  * The StateProvider
  *
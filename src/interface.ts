@@ -2,7 +2,8 @@
  * @ng1api
  * @module ng1
  */ /** */
-import { StateDeclaration, _ViewDeclaration, IInjectable, Transition, HookResult } from "@uirouter/core";
+import { StateDeclaration, _ViewDeclaration, IInjectable, Transition, HookResult, RedirectToResult } from "@uirouter/core";
+import { LocalizedUrls } from "./localizedUrl";
 
 
 /**
@@ -57,6 +58,8 @@ export interface _Ng1StateDeclaration extends StateDeclaration {
   onExit?: any;
   onRetain?: any;
   onEnter?: any;
+  redirectTo?: any;
+  url?: any;
   views?: any;
 }
 
@@ -359,6 +362,221 @@ export interface Ng1StateDeclaration extends _Ng1StateDeclaration, Ng1ViewDeclar
    */
   onRetain?: Ng1StateTransitionHook | IInjectable;
 
+  /**
+   * Synchronously or asynchronously redirects Transitions to a different state and/or parameters
+   *
+   * In addition to the values supported by [[StateDeclaration.redirectTo]] (a state name, a [[TargetState]],
+   * an object with `state` and/or `params`, or a function of the [[Transition]]),
+   * `redirectTo` may be an explicitly annotated injectable function,
+   * i.e., an array (`['project', function(project) {}]`) or a function with an `$inject` array.
+   *
+   * The function can inject global services, `$transition$`, `$state$` (the state being redirected),
+   * and the state's resolve data (or the resolve data of its ancestors).
+   * The injected resolves are fetched before the function is invoked.
+   * It returns (or returns a promise for) a [[RedirectToResult]].
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'project',
+   *   url: '/project/:projectId',
+   *   resolve: {
+   *     project: (ProjectService, $transition$) => ProjectService.get($transition$.params().projectId)
+   *   },
+   *   redirectTo: ['project', (project) => project.status === 'new' ? 'project.setup' : 'project.overview']
+   * });
+   * ```
+   *
+   * Note: a function without annotations (such as `(trans) => ...`) is invoked with the [[Transition]],
+   * as described in [[StateDeclaration.redirectTo]].
+   */
+  redirectTo?: RedirectToResult | IInjectable;
+
+  /**
+   * The url fragment for the state, or the url fragments by locale
+   *
+   * In addition to a url pattern string (see [[StateDeclaration.url]]),
+   * `url` may be an object of url patterns by locale (see [[LocalizedUrls]]).
+   * A state with a localized url matches an incoming url in any locale,
+   * and its `locale` parameter selects the url pattern which `$state.href()` and `ui-sref` build.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'products',
+   *   url: { en: '/products/{id}', de: '/produkte/{id}' }
+   * });
+   *
+   * $state.href('products', { id: 42, locale: 'de' }); // '#/produkte/42'
+   * ```
+   */
+  url?: string | LocalizedUrls;
+
+  /**
+   * Guards which decide if the state can be activated
+   *
+   * A guard is an injectable function (or an array of them) which is invoked before a transition enters the state.
+   * The guard can inject global services, `$transition$`, `$state$` (the state being entered),
+   * and the resolve data of the states (the resolves which the guard injects are fetched before the guard is invoked).
+   *
+   * A guard returns (or returns a promise for):
+   *
+   * - `true` to allow the transition (returning nothing also allows it)
+   * - `false` to cancel the transition
+   * - a [[TargetState]] (i.e., `$state.target('login')`) to redirect the transition
+   *
+   * Guards are inherited by the child states:
+   * entering a child state (even when the parent state is already active) invokes the guards of its ancestors too.
+   * The guards are invoked one at a time, from the outermost state, and each guard is invoked once per transition.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'admin',
+   *   url: '/admin',
+   *   canActivate: [
+   *     (AuthService, $state) => AuthService.isAuthenticated() || $state.target('login'),
+   *     (AuthService) => AuthService.fetchUser().then(user => user.isAdmin)
+   *   ]
+   * });
+   * ```
+   */
+  canActivate?: IInjectable | IInjectable[];
+
+  /**
+   * Guards which decide if the state can be deactivated
+   *
+   * A guard is an injectable function (or an array of them) which is invoked before a transition exits the state.
+   * The guards of the exiting states are invoked before the [[canActivate]] guards of the entering states.
+   *
+   * The return values, injectables, and inheritance work the same as [[canActivate]].
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'editor',
+   *   canDeactivate: (DocumentService, $window) =>
+   *       !DocumentService.hasUnsavedChanges() || $window.confirm('Discard your changes?')
+   * });
+   * ```
+   */
+  canDeactivate?: IInjectable | IInjectable[];
+
+  /**
+   * Guards which decide if the state's url can match
+   *
+   * A guard is an injectable function (or an array of them) which is invoked when the url matches the state's `url`.
+   * The guard can inject `$params` (the parameter values, parsed from the url) and `$state$`.
+   * It must return `true` **synchronously** to allow the match (a guard which returns a promise throws an error).
+   *
+   * When a guard does not allow the match, the url is matched against the other states (and url rules) instead.
+   * This allows multiple states to share a url, i.e., a dashboard for admins and a dashboard for other users
+   * (the state with the guard must be registered first).
+   *
+   * Guards are inherited by the child states.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'adminDashboard',
+   *   url: '/dashboard',
+   *   canMatch: (AuthService) => AuthService.isAdmin()
+   * });
+   *
+   * $stateProvider.state({
+   *   name: 'dashboard',
+   *   url: '/dashboard'
+   * });
+   * ```
+   */
+  canMatch?: IInjectable | IInjectable[];
+
+  /**
+   * The document title
+   *
+   * After a successful transition, `document.title` is updated from the deepest active state which defines a `title`.
+   * When no active state defines a `title`, the original document title is restored.
+   *
+   * The title may be:
+   *
+   * - A string, which is interpolated (like an angular template) against the resolved data, by name.
+   * - An injectable function which returns the title (or a promise for it).
+   *   The function can inject resolved data, global services, `$transition$` and `$state$`.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'user',
+   *   url: '/users/:userId',
+   *   title: '{{ user.name }} - Users',
+   *   resolve: {
+   *     user: (UserService, $transition$) => UserService.fetchUser($transition$.params().userId)
+   *   }
+   * });
+   *
+   * $stateProvider.state({
+   *   name: 'user.edit',
+   *   title: (user, $translate) => $translate.instant('EDIT_USER', { name: user.name })
+   * });
+   * ```
+   */
+  title?: string | IInjectable;
+
+  /**
+   * The `<meta>` tags of the document
+   *
+   * An object, where each key is the `name` of a `<meta>` tag, and each value is its `content`.
+   * Keys which contain a colon (such as `og:title`) use the `property` attribute instead of `name`.
+   *
+   * Each value may be a string (which is interpolated) or an injectable function, the same as [[title]].
+   *
+   * After a successful transition, each `<meta>` tag is updated from the deepest active state which defines it.
+   * Tags which are no longer defined by any active state are removed (or restored, if they were in the original document).
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'product',
+   *   url: '/products/:productId',
+   *   meta: {
+   *     'description': '{{ product.summary }}',
+   *     'og:image': (product) => product.imageUrl
+   *   },
+   *   resolve: {
+   *     product: (ProductService, $transition$) => ProductService.get($transition$.params().productId)
+   *   }
+   * });
+   * ```
+   */
+  meta?: { [name: string]: string | IInjectable };
+
+  /**
+   * The label of the state's breadcrumb
+   *
+   * After a successful transition, each active state contributes a breadcrumb to the [[Breadcrumbs]] service
+   * (and the [[directives.uiBreadcrumbs]] directive).
+   *
+   * The label may be a string (which is interpolated) or an injectable function, the same as [[title]].
+   * The state's resolved data is available.
+   *
+   * When no `breadcrumb` is declared, the state's [[title]] (or its name) is used.
+   * Set `breadcrumb: false` to leave the state out of the breadcrumbs.
+   * Abstract states are left out, unless they declare a `breadcrumb`.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state({
+   *   name: 'users.user',
+   *   url: '/:userId',
+   *   breadcrumb: '{{ user.name }}',
+   *   resolve: {
+   *     user: (UserService, $transition$) => UserService.fetchUser($transition$.params().userId)
+   *   }
+   * });
+   * ```
+   */
+  breadcrumb?: string | IInjectable | false;
+
   /**
    * Makes all search/query parameters `dynamic`
    *
@@ -466,6 +684,29 @@ export interface Ng1ViewDeclaration extends _ViewDeclaration {
    */
   bindings?: { [key: string]: string };
 
+  /**
+   * How the [[component]]'s input bindings are bound to the resolve data
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * - `once` (default): The inputs are bound once (using `::$resolve.foo`, on angular 1.3 and later).
+   * - `live`: The inputs are bound using normal (watched) bindings (`$resolve.foo`).
+   *   When the resolve data of the view is updated, i.e., when a resolve of a retained state is fetched again
+   *   (see [[Ng1Controller.uiOnResolvesChanged]]) or revalidated (see [[ResolveCachePolicy.staleWhileRevalidate]]),
+   *   the component's inputs are updated by angular (and `$onChanges` is called).
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state('mailbox', {
+   *   resolve: { folders: function(MailService) { return MailService.folders(); } },
+   *   resolvePolicy: { folders: { cache: { staleWhileRevalidate: true } } },
+   *   component: 'mailbox',
+   *   bindingMode: 'live'
+   * });
+   * ```
+   */
+  bindingMode?: "once" | "live";
+
   /**
    * Dynamic component provider function.
    *
@@ -618,6 +859,125 @@ export interface Ng1ViewDeclaration extends _ViewDeclaration {
    */
   templateProvider?: IInjectable;
 
+  /**
+   * The HTML template to render if the view fails to load.
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * Normally, if a view fails to load (for example, the `templateUrl` returns a 404, or the
+   * `templateProvider` or `controllerProvider` throws an error) then the whole Transition fails.
+   *
+   * When a view has an `errorTemplate`, the failure is scoped to that one view.
+   * The Transition succeeds, and the other views are rendered as usual.
+   * The `ui-view` renders the `errorTemplate`, and the error is available on the scope as `$error`.
+   *
+   * If `errorTemplate` is a function, it is called with the error as the first argument.
+   *
+   * An error fallback can also be declared on the `ui-view` itself, using the `error-template` attribute.
+   * See [[directives.uiView]].
+   *
+   * #### Example:
+   * ```js
+   * views: {
+   *   stocks: {
+   *     templateUrl: 'widgets/stocks.html',
+   *     errorTemplate: '<div class="widget-error">Stocks unavailable ({{ $error.status }})</div>'
+   *   }
+   * }
+   * ```
+   */
+  errorTemplate?: (Function|string);
+
+  /**
+   * The name of the component to render if the view fails to load.
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * This works the same as [[errorTemplate]], but renders a component.
+   * The error is passed to the component's `error` input binding.
+   *
+   * #### Example:
+   * ```js
+   * views: {
+   *   stocks: {
+   *     component: 'stocksWidget',
+   *     errorComponent: 'widgetError'
+   *   }
+   * }
+   *
+   * app.component('widgetError', {
+   *   bindings: { error: '<' },
+   *   template: '<div class="widget-error">Unavailable: {{ $ctrl.error.status }}</div>'
+   * });
+   * ```
+   */
+  errorComponent?: string;
+
+  /**
+   * The HTML template to render while the view is loading.
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * When a Transition which targets the view starts, the `ui-view` immediately renders this template
+   * in a `<div class="ui-view-loading">`, next to its current content.
+   * The current content stays live (style the placeholder as an overlay, or hide the content using CSS).
+   * The placeholder is removed when the Transition is done: either the view's real content replaces the current content,
+   * or (if the Transition fails) the current content is simply kept.
+   *
+   * A placeholder can also be declared on the `ui-view` itself, using the `loading-template` attribute.
+   * See [[directives.uiView]].
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state('reports', {
+   *   component: 'reports',
+   *   loadingTemplate: '<div class="spinner">Loading reports...</div>',
+   *   resolve: {
+   *     reports: (ReportService) => ReportService.fetchAll()
+   *   }
+   * });
+   * ```
+   */
+  loadingTemplate?: string;
+
+  /**
+   * The name of the component to render while the view is loading.
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * This works the same as [[loadingTemplate]], but renders a component.
+   */
+  loadingComponent?: string;
+
+  /**
+   * Keeps the view alive while it is inactive
+   *
+   * A property of [[Ng1StateDeclaration]] or [[Ng1ViewDeclaration]]:
+   *
+   * By default, a `ui-view` destroys the scope and DOM of its content when the view is deactivated.
+   * When a view is `sticky`, the `ui-view` detaches the content (and pauses the scope's watchers) instead.
+   * When the view is activated again (with the same parameter values), the content is re-attached.
+   * The content's scroll positions and form state (including any user input) are intact.
+   * Only the latest detached instance of the view is kept,
+   * i.e., the detached content for other parameter values is destroyed.
+   *
+   * When declared at the state level, `sticky` applies to all the views of the state.
+   *
+   * Nested `ui-view`s inside a detached view keep their content too.
+   * Their own (child state) views are only kept alive across their own deactivation if they are also `sticky`.
+   *
+   * The detached content is destroyed when its `ui-view` is destroyed.
+   *
+   * #### Example:
+   * ```js
+   * $stateProvider.state('tabs.details', {
+   *   url: '/details',
+   *   sticky: true,
+   *   component: 'detailsForm'
+   * });
+   * ```
+   */
+  sticky?: boolean;
 }
 
 /**
@@ -663,6 +1023,67 @@ export interface Ng1Controller {
    */
   uiOnParamsChanged(newValues: any, $transition$: Transition): void;
 
+  /**
+   * This callback is called when resolve data is updated in place.
+   *
+   * When a resolve is cached with the stale while revalidate policy ([[ResolveCachePolicy.staleWhileRevalidate]]),
+   * the view renders at once using the stale (or placeholder) data, and the resolve is fetched again in the background.
+   * This callback receives the fresh data.
+   *
+   * Called when:
+   * - The view is still active
+   * - The fresh data of a resolve (of the view's state, or of a parent state) has been fetched
+   *
+   * Called with:
+   * @param changes an object containing the updated resolve data (by resolve token)
+   *
+   * #### Example:
+   * ```js
+   * app.component('users', {
+   *   bindings: { users: '<' },
+   *   controller: function() {
+   *     this.uiOnResolveUpdated = function(changes) {
+   *       if (changes.users) this.users = changes.users;
+   *     }
+   *   }
+   * });
+   * ```
+   */
+  uiOnResolveUpdated(changes: { [token: string]: any }): void;
+
+  /**
+   * This callback is called when resolve data has changed, while the view's state was retained.
+   *
+   * A resolve of a retained state (the view's state, or a parent state) is fetched again when a transition replaces it,
+   * i.e., using [[Transition.addResolvable]] in a transition hook.
+   * The `$resolve` data of the view is updated, as are the one-way (`<`) inputs of a routed component
+   * (which are bound once, unless the [[Ng1ViewDeclaration.bindingMode]] is `live`).
+   *
+   * Called when:
+   * - The view is still active
+   * - A new transition has completed successfully
+   * - The state for the view (controller) was not reloaded
+   * - At least one resolve value was changed
+   *
+   * Called with:
+   * @param newValues an object containing the changed resolve data (by resolve token)
+   * @param $transition$ the new Transition which triggered this callback
+   *
+   * #### Example:
+   * ```js
+   * $transitions.onStart({ retained: 'inbox' }, function(trans) {
+   *   trans.addResolvable({ token: 'unread', deps: ['MailService'], resolveFn: function(MailService) { return MailService.unread(); } }, 'inbox');
+   * });
+   *
+   * angular.module('foo').controller('InboxCtrl', function() {
+   *   this.uiOnResolvesChanged = function(newValues) {
+   *     if (newValues.unread) this.unread = newValues.unread;
+   *   }
+   * });
+   * ```
+   */
+  uiOnResolvesChanged(newValues: { [token: string]: any }, $transition$: Transition): void;
+
   /**
    * This callback is called when the view's state is about to be exited.
    *
@@ -740,6 +1161,78 @@ export interface TemplateFactoryProvider {
    * @param useUnsafeHttpService `true` to use `$http` to fetch templates
    */
   useHttpService(useUnsafeHttpService: boolean);
+
+  /**
+   * Registers a template bundle
+   *
+   * A template bundle is a single manifest which maps many template urls to their html.
+   * The bundle is fetched once, and each of its templates is put into the `$templateCache`.
+   * Afterwards, views which use any of those urls as their `templateUrl` do not make a separate request.
+   *
+   * A bundle is loaded when:
+   * - a view's `templateUrl` matches the bundle's [[TemplateBundle.templates]] (and is not already cached), or
+   * - a transition starts entering a state which matches the bundle's [[TemplateBundle.state]] glob
+   *
+   * #### Example:
+   * ```js
+   * app.config(function($templateFactoryProvider) {
+   *   // admin-templates.json: { "admin/users.html": "<h1>Users</h1>...", "admin/roles.html": "..." }
+   *   $templateFactoryProvider.bundle({
+   *     url: '/bundles/admin-templates.json',
+   *     templates: 'admin/',
+   *     state: 'admin.**'
+   *   });
+   * });
+   * ```
+   *
+   * @param bundle the [[TemplateBundle]] to register
+   */
+  bundle(bundle: TemplateBundle);
+}
+
+/**
+ * A manifest of templates which is fetched in one request.
+ *
+ * See: [[TemplateFactoryProvider.bundle]]
+ */
+export interface TemplateBundle {
+  /**
+   * The url of a JSON manifest.
+   *
+   * The manifest is fetched using `$http`.
+   * It should be an object where each key is a template url and each value is the template html.
+   */
+  url?: string;
+
+  /**
+   * An injectable function which loads the manifest.
+   *
+   * Use this instead of [[url]] to load a manifest some other way, such as a lazy loaded javascript module.
+   * The function should return the manifest object (template url to html), or a promise for it.
+   * If the loader puts the templates into the `$templateCache` itself, it may return nothing.
+   *
+   * #### Example:
+   * ```js
+   * loader: () => import('./admin-templates.js').then(module => module.default)
+   * ```
+   */
+  loader?: IInjectable;
+
+  /**
+   * Which template urls are found in the bundle.
+   *
+   * Either a url prefix (string) or a `RegExp` matching the template urls.
+   * When a view requests a matching `templateUrl` which is not yet cached, the bundle is loaded first.
+   */
+  templates?: string | RegExp;
+
+  /**
+   * A state glob for the state subtree which uses the bundle, i.e., `'admin.**'`.
+   *
+   * The bundle is prefetched when a transition first enters a matching state.
+   * The transition waits for the bundle to load before loading its views.
+   */
+  state?: string;
 }
 
 declare module "@uirouter/core/lib/state/stateRegistry" {
@@ -0,0 +1,135 @@
+/** @module ng1 */ /** */
+import {
+  StateObject, UrlMatcher, UrlMatcherFactory, Param, RawParams, extend, isObject, isString, isDefined
+} from "@uirouter/core";
+
+/**
+ * The url patterns of a state, by locale
+ *
+ * Use an object of url patterns as the `url` of a state to localize the url.
+ * The first locale is the default locale.
+ *
+ * #### Example:
+ * ```js
+ * $stateProvider.state({
+ *   name: 'products',
+ *   url: { en: '/products', de: '/produkte', fr: '/produits' }
+ * });
+ *
+ * $stateProvider.state({
+ *   name: 'products.detail',
+ *   url: { en: '/{id}/details', de: '/{id}/details', fr: '/{id}/details' }
+ * });
+ * ```
+ *
+ * A localized state gets a `locale` parameter.
+ *
+ * - An incoming url in any locale matches the state, and the `locale` parameter is the locale of the matching url pattern:
+ *   `/produkte/42/details` activates `products.detail` with `{ id: '42', locale: 'de' }`.
+ * - The value of the `locale` parameter selects the url pattern which `$state.href()` and `ui-sref` build:
+ *   `$state.href('products.detail', { id: 42, locale: 'fr' })` is `#/produits/42/details`.
+ *   The `locale` parameter is inherited like the other parameters, so links within the tree of the localized state keep the current locale.
+ *   To link to another localized state tree, pass the `locale` parameter, i.e., `ui-sref="about({ locale: $ctrl.locale })"`.
+ *
+ * The substates of a localized state are localized, too.
+ * A substate with a plain (string) url has the same url in every locale (appended to the localized url of the parent).
+ *
+ * The default value of the `locale` parameter is the default locale.
+ * To use a different default (or another parameter option), declare the `locale` parameter in the `params` of the state.
+ */
+export interface LocalizedUrls {
+  [locale: string]: string;
+}
+
+/** @hidden The data of a localized [[UrlMatcher]] */
+export interface LocalizedUrlMatcher extends UrlMatcher {
+  /** The UrlMatchers, by locale */
+  _localeMatchers: { [locale: string]: UrlMatcher };
+  /** The default locale */
+  _defaultLocale: string;
+  /** The `locale` parameter */
+  _localeParam: Param;
+}
+
+/** @hidden */
+const LOCALE = 'locale';
+
+/** @hidden The url of a state is an object of url patterns (by locale) */
+export const isLocalizedUrl = (url: any) => isObject(url) && !(url instanceof UrlMatcher);
+
+/** @hidden The localized UrlMatcher of the nearest ancestor with a url (if it is localized) */
+const parentLocalizedUrl = (state: StateObject): LocalizedUrlMatcher => {
+  let navigable = state.parent && state.parent.navigable;
+  let url: any = navigable && navigable.url;
+  return url && url._localeMatchers ? url : null;
+};
+
+/** @hidden The url of the state is localized, or it inherits a localized url */
+export const hasLocalizedUrl = (state: StateObject) =>
+    isLocalizedUrl(state.self.url) || (isString(state.self.url) && !!parentLocalizedUrl(state));
+
+/** @hidden Finds the root state */
+function rootOf(state: StateObject): StateObject {
+  while (state.parent) state = state.parent;
+  return state;
+}
+
+/**
+ * @hidden
+ * Builds the localized [[UrlMatcher]] of a state
+ *
+ * The localized UrlMatcher has a UrlMatcher for each locale (appended to the UrlMatcher of the parent for the same locale).
+ * It matches a url using each locale's UrlMatcher, and it formats a url using the UrlMatcher for the `locale` parameter.
+ */
+export function localizedUrlMatcher(state: StateObject, urlMatcherFactory: UrlMatcherFactory): LocalizedUrlMatcher {
+  let url: string | LocalizedUrls = state.self.url;
+  let parentUrl = parentLocalizedUrl(state);
+  let locales = isString(url) ? Object.keys(parentUrl._localeMatchers) : Object.keys(url);
+  let defaultLocale = parentUrl && locales.indexOf(parentUrl._defaultLocale) !== -1 ? parentUrl._defaultLocale : locales[0];
+
+  const compile = (pattern: string) => urlMatcherFactory.compile(pattern, {
+    params: state.params || {},
+    paramMap: (paramConfig: any, isSearch: boolean) =>
+        state.self.reloadOnSearch === false && isSearch ? extend(paramConfig || {}, { dynamic: true }) : paramConfig,
+  });
+
+  const parentMatcher = (locale: string): UrlMatcher => parentUrl ?
+      parentUrl._localeMatchers[locale] || parentUrl._localeMatchers[parentUrl._defaultLocale] :
+      (state.parent && state.parent.navigable || rootOf(state)).url;
+
+  let matchers = locales.reduce((acc, locale) => {
+    let pattern: string = isString(url) ? url : url[locale];
+    let isRoot = pattern.charAt(0) === '^';
+    let matcher = compile(isRoot ? pattern.substring(1) : pattern);
+    acc[locale] = isRoot ? matcher : parentMatcher(locale).append(matcher);
+    return acc;
+  }, {} as { [locale: string]: UrlMatcher });
+
+  // The outermost localized state has the `locale` parameter
+  let localeConfig = state.params && state.params[LOCALE];
+  let localeParam = parentUrl ? parentUrl._localeParam : urlMatcherFactory.paramFactory.fromConfig(LOCALE, null,
+      isObject(localeConfig) ? extend({ value: defaultLocale }, localeConfig) : isDefined(localeConfig) ? localeConfig : defaultLocale);
+
+  let localized: LocalizedUrlMatcher = Object.create(matchers[defaultLocale]);
+  extend(localized, { _localeMatchers: matchers, _defaultLocale: defaultLocale, _localeParam: localeParam });
+
+  localized.exec = function (path: string, search?: any, hash?: string, options?: any) {
+    for (let locale of locales) {
+      let params: RawParams = matchers[locale].exec(path, search, hash, options);
+      if (params) return extend(params, { [LOCALE]: locale });
+    }
+    return null;
+  };
+
+  localized.format = function (values: RawParams = {}) {
+    // A missing locale is the (declared) default value of the `locale` parameter
+    return (matchers[localeParam.value(values[LOCALE])] || matchers[defaultLocale]).format(values);
+  };
+
+  localized.parameters = function (opts: any = {}) {
+    let params = matchers[defaultLocale].parameters(opts);
+    return opts.inherit !== false || !parentUrl ? params.concat(localeParam) : params;
+  };
+
+  return localized;
+}
@@ -0,0 +1,139 @@
+/** @module ng1 */ /** */
+import { IQService, IRootScopeService } from "angular";
+import { IInjectable, UIRouter, Transition, Resolvable, services } from "@uirouter/core";
+
+/** @hidden A function which was wrapped using [[settleNative]] */
+const SETTLED = '_nativeSettled';
+
+/** @hidden */
+const isNativePromise = (value: any) => typeof Promise === 'function' && value instanceof Promise;
+
+/** @hidden Settles a native promise using [[NativePromises.settle]] */
+function settle(value: any) {
+  if (!isNativePromise(value) || !services.$injector.has('$nativePromises')) return value;
+  return (<NativePromises> services.$injector.get('$nativePromises')).settle(value);
+}
+
+/**
+ * @hidden
+ * Wraps a function, so a native promise which it returns is settled using [[NativePromises.settle]]
+ */
+export function settleNative<T extends Function>(fn: T): T {
+  if (!fn || fn[SETTLED]) return fn;
+  let wrapped: any = function () {
+    return settle(fn.apply(this, arguments));
+  };
+  wrapped[SETTLED] = true;
+  return wrapped;
+}
+
+/**
+ * @hidden
+ * Invokes an injectable function, so a native promise which it returns is settled using [[NativePromises.settle]]
+ */
+export function invokeSettled(fn: IInjectable, self?: any, locals?: any): any {
+  return settle(services.$injector.invoke(fn, self, locals));
+}
+
+/**
+ * Native Promise (and `async` function) support
+ *
+ * UI-Router uses `$q` promises, which are settled during a digest.
+ * A native promise (such as the promise which an `async` function returns) is settled outside a digest,
+ * so the code which waits for it (and the bindings which it updates) may not run until some other event triggers a digest.
+ *
+ * When the native promise mode is enabled, a native promise which an injectable function returns is converted to a `$q` promise.
+ * The `$q` promise is settled using `$rootScope.$evalAsync()`, so the native promises which settle together schedule a single digest.
+ *
+ * This applies to:
+ *
+ * - Resolves ([[Ng1StateDeclaration.resolve]])
+ * - `templateProvider` and `controllerProvider` ([[Ng1ViewDeclaration]])
+ * - `onEnter`, `onRetain` and `onExit` ([[Ng1StateDeclaration.onEnter]], etc)
+ * - `canActivate` and `canDeactivate` guards, and an injectable `redirectTo`
+ * - The `uiCanExit` callback of a routed controller ([[Ng1Controller.uiCanExit]])
+ * - Permission resolvers ([[Permissions.define]]), and the injectable document title, meta tags and breadcrumb labels
+ *
+ * The services of the router (such as `$q`) are not changed,
+ * so any other native promise should be converted using [[NativePromises.settle]].
+ *
+ * #### Example:
+ * ```js
+ * app.config(function($nativePromisesProvider) {
+ *   $nativePromisesProvider.enable();
+ * });
+ *
+ * $stateProvider.state({
+ *   name: 'user',
+ *   url: '/users/{id}',
+ *   resolve: {
+ *     user: async function(UserService, $transition$) {
+ *       let user = await UserService.fetch($transition$.params().id);
+ *       return user.profile;
+ *     }
+ *   }
+ * });
+ * ```
+ */
+export class NativePromises {
+  /** @hidden */ private _enabled = false;
+  /** @hidden */ private _$q: IQService;
+  /** @hidden */ private _$rootScope: IRootScopeService;
+
+  /** @hidden */ $get = ['$uiRouter', '$rootScope', '$q', ($uiRouter: UIRouter, $rootScope: IRootScopeService, $q: IQService) => {
+    this._$q = $q;
+    this._$rootScope = $rootScope;
+    if (this._enabled) this._settleResolvables($uiRouter);
+    return this;
+  }];
+
+  /**
+   * Enables (or disables) the native promise mode
+   *
+   * The mode should be set during the config phase.
+   *
+   * @param enabled `false` to disable the native promise mode
+   */
+  enable(enabled = true) {
+    this._enabled = enabled;
+  }
+
+  /**
+   * Checks if the native promise mode is enabled
+   */
+  isEnabled(): boolean {
+    return this._enabled;
+  }
+
+  /**
+   * Converts a native promise to a `$q` promise
+   *
+   * When the native promise mode is enabled, a native promise is converted to a `$q` promise,
+   * which is settled in a digest (scheduled using `$rootScope.$evalAsync()`).
+   * Any other value (or any value, when the mode is disabled) is returned as is.
+   *
+   * @param value a native promise (or any other value)
+   * @return a `$q` promise for the native promise, or the value
+   */
+  settle<T>(value: T): T {
+    if (!this._enabled || !isNativePromise(value)) return value;
+
+    let deferred = this._$q.defer(), $rootScope = this._$rootScope;
+    (<any> value).then(
+        (result: any) => $rootScope.$evalAsync(() => deferred.resolve(result)),
+        (error: any) => $rootScope.$evalAsync(() => deferred.reject(error))
+    );
+    return <any> deferred.promise;
+  }
+
+  /** @hidden Settles the native promises of the resolve functions */
+  private _settleResolvables(router: UIRouter) {
+    const settleResolvable = (resolvable: Resolvable) => {
+      if (!resolvable.resolved) resolvable.resolveFn = settleNative(resolvable.resolveFn);
+    };
+
+    router.transitionService.onCreate({}, (trans: Transition) => {
+      trans.treeChanges().to.forEach(node => node.resolvables.forEach(settleResolvable));
+    });
+  }
+}
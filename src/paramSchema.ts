@@ -0,0 +1,214 @@
+/** @module ng1 */ /** */
+import {
+  Transition, TransitionService, StateObject, StateDeclaration, Param, RawParams, BuilderFunction,
+  extend, isArray, isNumber, isString, isDefined
+} from "@uirouter/core";
+
+declare module "@uirouter/core/lib/params/interface" {
+  interface ParamDeclaration {
+    /**
+     * The schema of the parameter value
+     *
+     * When a parameter value (i.e., from a url) does not conform to the schema,
+     * it is handled according to the [[ParamSchema.policy]].
+     * See [[ParamSchema]].
+     */
+    schema?: ParamSchema;
+  }
+}
+
+/**
+ * What to do with a parameter value which does not conform to its [[ParamSchema]]
+ *
+ * - `drop`: The invalid value is dropped (the parameter value becomes `null`, even when the parameter has a default value).
+ *   The url is not changed.
+ * - `default`: The parameter gets its default value (`value`). The url is not changed.
+ * - `redirect`: The parameter gets its default value, and the url is replaced by the canonical url (using `location: 'replace'`).
+ * - `reject`: The transition is rejected with a [[ParamSchemaError]].
+ */
+export type ParamSchemaPolicy = "drop" | "default" | "redirect" | "reject";
+
+/**
+ * The schema of a parameter value
+ *
+ * Declare a schema as the `schema` of a parameter in the `params` of a state.
+ * The decoded value of the parameter is validated whenever a transition targets the state (or a substate).
+ * The items of an array value are validated individually.
+ *
+ * #### Example:
+ * ```js
+ * $stateProvider.state({
+ *   name: 'products',
+ *   url: '/products?{page:int}&sort&q',
+ *   params: {
+ *     page: { value: 1, schema: { type: 'integer', min: 1, policy: 'redirect' } },
+ *     sort: { value: 'name', schema: { enum: ['name', 'price'] } },
+ *     q: { value: null, schema: { regex: /^[\w ]*$/, max: 100, policy: 'reject' } },
+ *   }
+ * });
+ * ```
+ *
+ * Now, `/products?page=abc` redirects to `/products?page=1`, and `/products?sort=foo` enters the state with `sort: 'name'`.
+ */
+export interface ParamSchema {
+  /**
+   * The type of the (decoded) value: `string`, `number`, `integer` or `boolean`.
+   *
+   * Note: query parameters are strings, unless the parameter has a `type` (i.e., `{page:int}`) which decodes the url.
+   */
+  type?: "string" | "number" | "integer" | "boolean";
+  /** The allowed values */
+  enum?: any[];
+  /** The minimum of a number, or the minimum length of a string */
+  min?: number;
+  /** The maximum of a number, or the maximum length of a string */
+  max?: number;
+  /** A regular expression which a string value must match */
+  regex?: RegExp | string;
+  /** When true, the value must not be `null`, `undefined`, or an empty string */
+  required?: boolean;
+  /** What to do with an invalid value (default: `default`).  See [[ParamSchemaPolicy]] */
+  policy?: ParamSchemaPolicy;
+}
+
+/**
+ * The error which rejects a transition when a parameter value does not conform to its [[ParamSchema]]
+ * (and the `policy` of the schema is `reject`).
+ *
+ * The error is the `detail` of the transition's [[Rejection]].
+ *
+ * #### Example:
+ * ```js
+ * $transitions.onError({}, function(trans) {
+ *   var error = trans.error().detail;
+ *   if (error instanceof ParamSchemaError) {
+ *     console.log(error.errors); // { q: ['regex'] }
+ *   }
+ * });
+ * ```
+ */
+export class ParamSchemaError {
+  /** A description of the error */
+  message: string;
+
+  constructor(
+      /** The state which the transition targeted */
+      public state: StateDeclaration,
+      /** The invalid parameter values, by parameter id */
+      public values: RawParams,
+      /** The names of the schema rules (i.e., `min`, `regex`) which failed, by parameter id */
+      public errors: { [paramId: string]: string[] }) {
+    let invalid = Object.keys(errors).map(id => `${id} (${errors[id].join(', ')})`);
+    this.message = `Invalid parameter values for state '${state.name}': ${invalid.join(', ')}`;
+  }
+
+  toString() {
+    return `ParamSchemaError: ${this.message}`;
+  }
+}
+
+/** @hidden */
+const isEmpty = (val: any) => val == null || val === '';
+
+/** @hidden The rules of a [[ParamSchema]] which fail for a (single) value */
+function failedRules(schema: ParamSchema, val: any): string[] {
+  if (isEmpty(val)) return schema.required ? ['required'] : [];
+
+  const typeChecks = {
+    string: isString,
+    number: (x: any) => isNumber(x) && !isNaN(x),
+    integer: (x: any) => isNumber(x) && x % 1 === 0,
+    boolean: (x: any) => typeof x === 'boolean',
+  };
+  let size = isString(val) ? val.length : isNumber(val) ? val : NaN;
+  let regex = isString(schema.regex) ? new RegExp(<string> schema.regex) : <RegExp> schema.regex;
+
+  let rules = {
+    type: () => typeChecks[schema.type](val),
+    enum: () => schema.enum.indexOf(val) !== -1,
+    min: () => !(size < schema.min),
+    max: () => !(size > schema.max),
+    regex: () => isString(val) && regex.test(val),
+  };
+
+  return Object.keys(rules).filter(rule => isDefined(schema[rule]) && !rules[rule]());
+}
+
+/**
+ * Validates a parameter value against a [[ParamSchema]]
+ *
+ * @param schema the schema of the parameter
+ * @param value the (decoded) parameter value
+ * @returns the names of the schema rules which the value fails (an empty array when the value is valid)
+ */
+export function validateParamSchema(schema: ParamSchema, value: any): string[] {
+  let values = isArray(value) && value.length ? value : [value];
+  return values.map(val => failedRules(schema, val))
+      .reduce((acc, rules) => acc.concat(rules.filter(rule => acc.indexOf(rule) === -1)), []);
+}
+
+/** @hidden */
+const hasSchema = (param: Param) => !!(param.config && param.config.schema);
+
+/** @hidden The validation of the parameter type (i.e., `int`), which the schema replaces */
+const TYPE_VALIDATES = '_typeValidates';
+
+/**
+ * @hidden
+ * This is a [[StateBuilder.builder]] function for the `params` of a state, which applies the [[ParamSchema]] of a parameter
+ *
+ * - A value which the parameter type does not accept (i.e., `abc` for `{page:int}`) would invalidate the target state,
+ *   so the transition would be rejected before the schema hook runs.
+ *   Instead, the schema hook reports it as a failed `type` rule, and applies the policy.
+ * - A `null` value of a parameter with the `drop` policy is kept (instead of being replaced by the default value).
+ */
+export function paramSchemaBuilder(state: StateObject, parentFn: BuilderFunction) {
+  let params: { [id: string]: Param } = parentFn(state);
+
+  Object.keys(params).map(id => params[id]).filter(param => hasSchema(param) && !param[TYPE_VALIDATES]).forEach(param => {
+    param[TYPE_VALIDATES] = param.validates.bind(param);
+    param.validates = () => true;
+    if (param.config.schema.policy === 'drop') param.replace = <any> param.replace.filter(tuple => tuple.from !== null);
+  });
+
+  return params;
+}
+
+/**
+ * @hidden
+ * A [[TransitionHookFn]] which applies the [[ParamSchemaPolicy]] for the invalid parameter values of a transition
+ */
+function paramSchemaHook(trans: Transition) {
+  let params = trans.params(), fixed = extend({}, params);
+  let errors: { [paramId: string]: string[] } = {}, invalid: RawParams = {}, policies: string[] = [];
+
+  trans.$to().parameters().filter(hasSchema).forEach((param: Param) => {
+    let schema: ParamSchema = param.config.schema;
+    let failed = validateParamSchema(schema, params[param.id]);
+    if (!param[TYPE_VALIDATES](params[param.id]) && failed.indexOf('type') === -1) failed = ['type'].concat(failed);
+    if (!failed.length) return;
+
+    let policy = schema.policy || 'default';
+    errors[param.id] = failed;
+    invalid[param.id] = params[param.id];
+    fixed[param.id] = policy === 'drop' ? null : param.value(undefined);
+    policies.push(policy);
+  });
+
+  if (!policies.length) return;
+  if (policies.indexOf('reject') !== -1) throw new ParamSchemaError(trans.to(), invalid, errors);
+
+  // The invalid values can not be fixed (i.e., the default value is invalid, too)
+  let unchanged = trans.$to().parameters().every((param: Param) => param.type.equals(params[param.id], fixed[param.id]));
+  if (unchanged) return;
+
+  // A redirect from a url sync transition replaces the url (see Transition.redirect)
+  let keepUrl = trans.options().source === 'url' && policies.indexOf('redirect') === -1;
+  return trans.router.stateService.target(trans.to(), fixed, keepUrl ? { location: false } : {});
+}
+
+/** @hidden Registers the hook which validates the parameter values of a transition */
+export function registerParamSchemaHook(transitionService: TransitionService) {
+  let hasParamSchema = (state: StateObject) => state.parameters().some(hasSchema);
+  transitionService.onBefore({ to: hasParamSchema }, paramSchemaHook);
+}
@@ -0,0 +1,205 @@
+/** @module ng1 */ /** */
+import {
+  UIRouter, UrlMatcher, UrlMatcherFactory, Param, ParamTypeDefinition, equals, extend, forEach, fromJson, toJson, isArray, isDefined, isString,
+  omit, unnestR
+} from "@uirouter/core";
+
+/** @hidden Objects and arrays */
+const isJsonObject = (val: any) => val != null && typeof val === 'object';
+
+/** @hidden Decodes a JSON string, or returns the (already decoded) value */
+function parseJson(val: any) {
+  if (!isString(val)) return val;
+  try {
+    return fromJson(val);
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/** @hidden Converts a string to a "binary" string of its UTF-8 bytes, for btoa() */
+const toUtf8Bytes = (str: string) => encodeURIComponent(str).replace(/%([0-9A-F]{2})/g, (match, hex) => String.fromCharCode(parseInt(hex, 16)));
+/** @hidden Converts a "binary" string of UTF-8 bytes (from atob()) to a string */
+const fromUtf8Bytes = (bytes: string) => decodeURIComponent(bytes.replace(/[\s\S]/g, char => '%' + ('0' + char.charCodeAt(0).toString(16)).slice(-2)));
+
+/** @hidden Encodes JSON as a base64url string (without padding) */
+const toBase64Url = (val: any): string =>
+    btoa(toUtf8Bytes(toJson(val))).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+
+/** @hidden Decodes a base64url string as JSON */
+function fromBase64Url(val: any) {
+  if (!isString(val)) return val;
+  let base64 = val.replace(/-/g, '+').replace(/_/g, '/');
+  while (base64.length % 4) base64 += '=';
+  try {
+    return fromJson(fromUtf8Bytes(atob(base64)));
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * The angular1 parameter types
+ *
+ * These parameter types are registered with the [[UrlMatcherFactory]] (`$urlMatcherFactoryProvider`).
+ *
+ * - `json`: An object (or array), encoded as JSON.
+ *   This replaces the core `json` type, so a url with invalid JSON (i.e., a hand edited url) does not throw.
+ *   Instead, the parameter gets its default value.
+ *
+ *   `/search?{filter:json}` → `/search?filter=%7B%22name%22%3A%22bob%22%7D`
+ *
+ * - `nested`: An object (or array) in a query parameter, using nested (bracket) keys.
+ *   Arrays of strings use `key[]=` keys, and objects (or arrays of objects) use `key[0][name]=` keys.
+ *   The values are strings after decoding (as with all other query values).
+ *
+ *   `/search?{filter:nested}` → `/search?filter[0][name]=bob&filter[0][op]=eq&filter[1][tags][]=a`
+ *
+ * - `base64json`: An object (or array), encoded as compact, url safe (base64url) JSON.
+ *
+ *   `/search?{filter:base64json}` → `/search?filter=eyJuYW1lIjoiYm9iIn0`
+ *
+ * #### Example:
+ * ```js
+ * $stateProvider.state({
+ *   name: 'search',
+ *   url: '/search?{criteria:nested}&{sort:json}',
+ *   params: { criteria: { value: [] } }
+ * });
+ *
+ * $state.go('search', { criteria: [{ field: 'name', op: 'eq', value: 'bob' }] });
+ * ```
+ */
+export const ng1ParamTypes: { [name: string]: ParamTypeDefinition } = {
+  json: {
+    encode: toJson,
+    decode: parseJson,
+    is: isJsonObject,
+    equals: equals,
+    pattern: /[^/]*/,
+  },
+  nested: {
+    // The nested keys are built (and parsed) by the state's UrlMatcher (see nestedQueryUrlMatcher).
+    // Elsewhere, the value is encoded as JSON.
+    encode: toJson,
+    decode: parseJson,
+    is: isJsonObject,
+    equals: equals,
+    pattern: /[^/]*/,
+  },
+  base64json: {
+    encode: toBase64Url,
+    decode: fromBase64Url,
+    is: isJsonObject,
+    equals: equals,
+    pattern: /[A-Za-z0-9_-]*/,
+  },
+};
+
+/** @hidden Registers the angular1 parameter types */
+export function registerParamTypes(router: UIRouter) {
+  forEach(ng1ParamTypes, (definition: ParamTypeDefinition, name: string) => router.urlMatcherFactory.type(name, definition));
+}
+
+/**
+ * @hidden
+ * Unwraps the `"auto"` array mode of the query parameters of a state's [[UrlMatcher]] which use the angular1 parameter types.
+ *
+ * By default, a query parameter is in `"auto"` array mode, which encodes (and decodes) each item of an array value separately.
+ * The values of the angular1 parameter types are whole objects (or arrays), so the parameter type is unwrapped,
+ * unless the parameter explicitly configures an `array` mode.
+ */
+export function unwrapAutoArrayParams(urlMatcher: UrlMatcher, urlMatcherFactory: UrlMatcherFactory) {
+  urlMatcher.parameters({ inherit: false })
+      .filter(param => <any> param.array === 'auto' && !isDefined(param.config.array) && ng1ParamTypes.hasOwnProperty(param.type.name))
+      .forEach(param => extend(param, { type: urlMatcherFactory.type(param.type.name), array: false }));
+}
+
+/** @hidden Sets a value in a nested object (or array) at a path of keys.  An empty key (`[]`) appends to an array. */
+function setPath(container: any, path: string[], value: any) {
+  if (!path.length) return value;
+  let [key, ...rest] = path;
+  let isIndex = key === '' || /^\d+$/.test(key);
+  container = isJsonObject(container) ? container : (isIndex ? [] : {});
+
+  let prop = key === '' ? container.length : key;
+  container[prop] = setPath(container[prop], rest, value);
+  return container;
+}
+
+/**
+ * @hidden
+ * Builds the value of a nested query parameter from the (bracket) keys of the search object.
+ *
+ * `{ 'tags[]': ['a', 'b'], 'filter[0][name]': 'bob' }` → `tags: ['a', 'b']` and `filter: [{ name: 'bob' }]`
+ */
+function foldQuery(search: any, id: string) {
+  let keys = Object.keys(search).filter(key => key.indexOf(id + '[') === 0);
+  // Not nested (i.e., a JSON encoded value)
+  if (!keys.length) return search[id];
+
+  return keys.reduce((result, key) => {
+    let path = (key.slice(id.length).match(/\[[^\]]*\]/g) || []).map(segment => segment.slice(1, -1));
+    let values = isArray(search[key]) ? search[key] : [search[key]];
+    return values.reduce((acc, value) => setPath(acc, path, value), result);
+  }, undefined);
+}
+
+/**
+ * @hidden
+ * Builds the (bracket) query string pairs of a nested query parameter.
+ *
+ * Arrays of strings use `key[]=`, and objects (or arrays of objects) use `key[0][name]=`.
+ */
+function flattenQuery(key: string, value: any): string[] {
+  if (value == null) return [];
+  if (!isJsonObject(value)) return [`${key}=${encodeURIComponent(value)}`];
+
+  let isFlatArray = isArray(value) && !value.filter(isJsonObject).length;
+  const nestedKey = (prop: string|number) => `${key}[${isFlatArray ? '' : encodeURIComponent(<any> prop)}]`;
+
+  return Object.keys(value)
+      .map(prop => flattenQuery(nestedKey(prop), value[prop]))
+      .reduce(unnestR, []);
+}
+
+/**
+ * @hidden
+ * Applies the nested (bracket) key encoding to the `nested` query parameters of a state's [[UrlMatcher]].
+ */
+export function nestedQueryUrlMatcher(urlMatcher: UrlMatcher): UrlMatcher {
+  let nestedParams: Param[] = urlMatcher.parameters().filter(param => param.isSearch() && param.type.name === 'nested');
+  if (!nestedParams.length) return urlMatcher;
+  let ids = nestedParams.map(param => param.id);
+
+  let nested: UrlMatcher = Object.create(urlMatcher);
+
+  nested.exec = function (path: string, search: any = {}, ...args: any[]) {
+    let folded = extend({}, search);
+    ids.forEach(id => folded[id] = foldQuery(search, id));
+    return urlMatcher.exec.apply(this, [path, folded].concat(args));
+  };
+
+  nested.format = function (values: any = {}) {
+    let url = urlMatcher.format.call(this, values);
+    if (url == null) return url;
+
+    let pairs = nestedParams.map(param => {
+      let value = param.value(values[param.id]);
+      let squash = param.isDefaultValue(value) && param.squash !== false;
+      return squash ? [] : flattenQuery(param.id, value);
+    }).reduce(unnestR, []);
+
+    // The base format encodes the nested params (or their default values) as JSON: replace them with the nested keys
+    let hashIdx = url.indexOf('#');
+    let base = hashIdx === -1 ? url : url.slice(0, hashIdx), hash = hashIdx === -1 ? '' : url.slice(hashIdx);
+    let queryIdx = base.indexOf('?'), path = queryIdx === -1 ? base : base.slice(0, queryIdx);
+    const isNested = (pair: string) => ids.indexOf(decodeURIComponent(pair.split('=')[0])) !== -1;
+    let query = queryIdx === -1 ? [] : base.slice(queryIdx + 1).split('&').filter(pair => !isNested(pair));
+
+    query = query.concat(pairs);
+    return path + (query.length ? '?' + query.join('&') : '') + hash;
+  };
+
+  return nested;
+}
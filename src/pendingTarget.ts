@@ -0,0 +1,181 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { IWindowService } from "angular";
+import {
+  UIRouter, Transition, TargetState, StateObject, StateOrName, RawParams, TransitionOptions, TransitionPromise,
+  inArray, isArray, isDefined, pick
+} from "@uirouter/core";
+
+declare module "@uirouter/core/lib/state/stateService" {
+  interface StateService {
+    /**
+     * Replays the pending target
+     *
+     * Activates the pending target (see [[PendingTarget]]) and clears it.
+     * If there is no pending target, activates the fallback state instead (if one is given).
+     *
+     * @param fallbackState the state to activate when there is no pending target
+     * @param fallbackParams the parameter values for the fallback state
+     * @param fallbackOptions the transition options for the fallback state
+     * @return the transition promise, or `null` if there was nothing to activate
+     */
+    resumePending(fallbackState?: StateOrName, fallbackParams?: RawParams, fallbackOptions?: TransitionOptions): TransitionPromise;
+  }
+}
+
+/** @hidden The transition options which are replayed (and persisted) with a pending target */
+const replayedOptions = (target: TargetState): TransitionOptions =>
+    <TransitionOptions> pick(target.options(), ['location', 'inherit', 'custom']);
+
+/** @hidden A pending target, as persisted in `sessionStorage` */
+interface StoredTarget {
+  state: string;
+  params: RawParams;
+  options: TransitionOptions;
+}
+
+/**
+ * Remembers a target state, so it can be activated later
+ *
+ * When a transition is redirected to a login state (by a hook, a guard, or a `redirectTo`),
+ * the original target (the state, parameter values, and options) is usually lost.
+ * This service saves the original target as the *pending target*.
+ * After the user logs in, [[StateService.resumePending]] (`$state.resumePending()`) activates the pending target.
+ *
+ * The states which capture the pending target are configured using [[captureRedirectsTo]].
+ * The [[Permissions]] service also saves the pending target when it redirects to its login state.
+ *
+ * The pending target may be persisted to `sessionStorage` (see [[useSessionStorage]]),
+ * so it survives a full page reload, such as an OAuth round trip.
+ *
+ * #### Example:
+ * ```js
+ * app.config(function($pendingTargetProvider) {
+ *   $pendingTargetProvider.captureRedirectsTo('login');
+ *   $pendingTargetProvider.useSessionStorage();
+ * });
+ *
+ * app.controller('LoginController', function($state, UserService) {
+ *   this.login = function(credentials) {
+ *     UserService.login(credentials).then(function() {
+ *       $state.resumePending('home');
+ *     });
+ *   };
+ * });
+ * ```
+ */
+export class PendingTarget {
+  /** @hidden */ private _target: TargetState = null;
+  /** @hidden The pending target restored from `sessionStorage` (the TargetState is created when it is used) */
+  private _stored: StoredTarget = null;
+  /** @hidden */ private _router: UIRouter;
+  /** @hidden */ private _storage: Storage = null;
+  /** @hidden */ private _storageKey: string = null;
+  /** @hidden */ private _captureStates: string[] = [];
+
+  /** @hidden */ $get = ['$uiRouter', '$window', ($uiRouter: UIRouter, $window: IWindowService) => {
+    this._router = $uiRouter;
+    if (this._storageKey) this._restore($window);
+
+    let criteria = { to: (state: StateObject) => inArray(this._captureStates, state.name) };
+    $uiRouter.transitionService.onSuccess(criteria, (trans: Transition) => this._capture(trans));
+
+    $uiRouter.stateService.resumePending = (fallbackState?: StateOrName, fallbackParams?: RawParams, fallbackOptions?: TransitionOptions) =>
+        this.resume(fallbackState, fallbackParams, fallbackOptions);
+    return this;
+  }];
+
+  /**
+   * The pending target, or `null`
+   *
+   * A pending target which was restored from `sessionStorage` is created when it is read,
+   * so its state may be registered after the service is created (i.e., a lazy loaded state).
+   */
+  get target(): TargetState {
+    let stored = this._stored;
+    if (this._target || !stored) return this._target;
+    return this._router.stateService.target(stored.state, stored.params, stored.options);
+  }
+
+  /**
+   * Sets the states which capture the pending target
+   *
+   * When a redirected transition to one of these states succeeds,
+   * the target of the original transition (the first transition in the redirect chain) is saved as the pending target.
+   *
+   * @param stateNames the name of the state (such as a login state), or an array of names
+   */
+  captureRedirectsTo(stateNames: string | string[]) {
+    this._captureStates = isArray(stateNames) ? stateNames : [stateNames];
+  }
+
+  /**
+   * Persists the pending target to `sessionStorage`
+   *
+   * The pending target is restored from `sessionStorage` when the service is created, i.e., after a full page reload.
+   * The parameter values of the pending target must be serializable as JSON.
+   *
+   * @param key the `sessionStorage` key
+   */
+  useSessionStorage(key = 'uiRouterPendingTarget') {
+    this._storageKey = key;
+  }
+
+  /**
+   * Saves a target as the pending target
+   *
+   * @param target the target state
+   */
+  save(target: TargetState) {
+    this._target = target;
+    this._stored = null;
+    if (!this._storage) return;
+
+    let stored: StoredTarget = { state: target.name(), params: target.params(), options: replayedOptions(target) };
+    this._storage.setItem(this._storageKey, JSON.stringify(stored));
+  }
+
+  /** Clears the pending target */
+  clear() {
+    this._target = this._stored = null;
+    if (this._storage) this._storage.removeItem(this._storageKey);
+  }
+
+  /**
+   * Activates the pending target, and clears it
+   *
+   * This is also available as [[StateService.resumePending]].
+   *
+   * @param fallbackState the state to activate when there is no pending target
+   * @param fallbackParams the parameter values for the fallback state
+   * @param fallbackOptions the transition options for the fallback state
+   * @return the transition promise, or `null` if there was nothing to activate
+   */
+  resume(fallbackState?: StateOrName, fallbackParams?: RawParams, fallbackOptions?: TransitionOptions): TransitionPromise {
+    let target = this.target, stateService = this._router.stateService;
+    this.clear();
+
+    if (target && target.valid()) return stateService.go(target.name(), target.params(), replayedOptions(target));
+    return isDefined(fallbackState) ? stateService.go(fallbackState, fallbackParams, fallbackOptions) : null;
+  }
+
+  /** @hidden Saves the target of the original transition, when a transition was redirected to a capture state */
+  private _capture(trans: Transition) {
+    let original = trans.originalTransition();
+    if (original !== trans) this.save(original.targetState());
+  }
+
+  /** @hidden Restores the pending target from `sessionStorage` */
+  private _restore($window: IWindowService) {
+    try {
+      this._storage = $window.sessionStorage;
+      this._stored = JSON.parse(this._storage.getItem(this._storageKey)) || null;
+    } catch (error) {
+      // sessionStorage is not available, or the stored target is not valid JSON
+    }
+  }
+}
+
+angular.module('ui.router.state').provider('$pendingTarget', () => new PendingTarget());
+// Instantiate the service so the pending target is captured (and `$state.resumePending()` is available) from the start
+angular.module('ui.router.state').run(['$pendingTarget', function ($pendingTarget: PendingTarget) { }]);
@@ -0,0 +1,278 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { PendingTarget } from "./pendingTarget";
+import { invokeSettled } from "./nativePromises";
+import {
+  UIRouter, Transition, TargetState, StateObject, StateOrName, RawParams, TransitionOptions, IInjectable,
+  extend, identity, isArray, isDefined, isString, removeFrom, services
+} from "@uirouter/core";
+
+/**
+ * The permissions required to activate a state
+ *
+ * Declared using the `permissions` property of a state's `data`.
+ * The permission names are resolved using the resolvers registered with [[Permissions.define]].
+ *
+ * A string (or an array of strings) is shorthand for `{ only: [...] }`.
+ *
+ * #### Example:
+ * ```js
+ * $stateProvider.state({
+ *   name: 'admin',
+ *   url: '/admin',
+ *   data: { permissions: { only: ['admin', 'editor'], except: 'suspended' } }
+ * });
+ *
+ * $stateProvider.state({
+ *   name: 'reports',
+ *   url: '/reports',
+ *   data: { permissions: 'viewReports' }
+ * });
+ * ```
+ */
+export interface PermissionDeclaration {
+  /** The user must have at least one of these permissions (or roles) */
+  only?: string | string[];
+  /** The user must have none of these permissions (or roles) */
+  except?: string | string[];
+}
+
+/** @hidden The login state, and the injectable which determines if the user is authenticated */
+interface LoginConfig {
+  state: string;
+  isAuthenticated: IInjectable;
+}
+
+/** @hidden */
+const asArray = (names: string | string[]): string[] => !isDefined(names) ? [] : isArray(names) ? names : [names];
+
+/** @hidden The permissions declared by a state itself (not inherited from its parent's `data`) */
+function ownPermissions(state: StateObject): PermissionDeclaration {
+  let data = state.data;
+  if (!data || !Object.prototype.hasOwnProperty.call(data, 'permissions') || !data.permissions) return null;
+  let permissions = data.permissions;
+  return (isString(permissions) || isArray(permissions)) ? { only: permissions } : permissions;
+}
+
+/**
+ * Restricts access to states using permissions (or roles)
+ *
+ * States declare the permissions required to activate them using `data.permissions` (see [[PermissionDeclaration]]).
+ * Because `data` is inherited, the child states of a protected state are also protected.
+ * A child state which declares its own permissions requires its own permissions, *and* the permissions of its ancestors.
+ *
+ * Permission names are resolved by async resolvers, registered using [[define]].
+ *
+ * When a transition enters a state which the user is not authorized to activate:
+ *
+ * - If a login state is configured (using [[loginState]]) and the user is not authenticated,
+ *   the transition is redirected to the login state.
+ *   The original target is saved as the pending target (see [[PendingTarget]]), which `$state.resumePending()` activates.
+ *   It is also available as [[originalTarget]].
+ * - Otherwise, if an unauthorized state is configured (using [[unauthorizedState]]),
+ *   the transition is redirected to the unauthorized state.
+ * - Otherwise, the transition is cancelled.
+ *
+ * This service is also used by the [[directives.uiSref]] and [[directives.uiState]] directives
+ * to hide or disable links when `ui-sref-unauthorized` (or `ui-state-unauthorized`) is present.
+ *
+ * #### Example:
+ * ```js
+ * app.config(function($permissionProvider) {
+ *   $permissionProvider.define(['admin', 'editor'], function(UserService, $permissionName) {
+ *     return UserService.getUser().then(user => user.roles.indexOf($permissionName) !== -1);
+ *   });
+ *   $permissionProvider.unauthorizedState('forbidden');
+ *   $permissionProvider.loginState('login', function(UserService) {
+ *     return UserService.isLoggedIn();
+ *   });
+ * });
+ *
+ * app.controller('LoginController', function($state, UserService) {
+ *   this.login = function(credentials) {
+ *     UserService.login(credentials).then(function() {
+ *       $state.resumePending('home');
+ *     });
+ *   };
+ * });
+ * ```
+ */
+export class Permissions {
+  /** @hidden */ private _router: UIRouter;
+  /** @hidden */ private _pendingTarget: PendingTarget;
+  /** @hidden */ private _resolvers: { [name: string]: IInjectable } = {};
+  /** @hidden */ private _unauthorized: { state: string, params: RawParams } = null;
+  /** @hidden */ private _login: LoginConfig = null;
+  /** @hidden */ private _refreshCallbacks: Function[] = [];
+
+  /**
+   * The original target of a transition which was redirected to the login state
+   *
+   * The login state may use this to return to the original target after the user logs in.
+   * This is the pending target (see [[PendingTarget.target]]), which `$state.resumePending()` activates (and clears).
+   */
+  get originalTarget(): TargetState {
+    return this._pendingTarget ? this._pendingTarget.target : null;
+  }
+
+  /** @hidden */ $get = ['$uiRouter', '$pendingTarget', ($uiRouter: UIRouter, $pendingTarget: PendingTarget) => {
+    this._router = $uiRouter;
+    this._pendingTarget = $pendingTarget;
+    let criteria = { entering: (state: StateObject) => !!ownPermissions(state) };
+    $uiRouter.transitionService.onBefore(criteria, (trans: Transition) => this._authorizeTransition(trans));
+    return this;
+  }];
+
+  /**
+   * Registers a permission resolver
+   *
+   * The resolver is an injectable function which returns `true` (or a promise for `true`)
+   * if the user has the permission.
+   * In addition to the angular services, the following locals are injectable:
+   *
+   * - `$permissionName`: The name of the permission being resolved
+   * - `$state$`: The [[StateDeclaration]] which requires the permission
+   * - `$params`: The target parameter values
+   *
+   * A permission without a resolver is never granted.
+   * A resolver which throws (or rejects) does not grant the permission.
+   *
+   * @param names the name of the permission (or role), or an array of names which share the resolver
+   * @param resolver an injectable function which resolves to `true` if the user has the permission
+   */
+  define(names: string | string[], resolver: IInjectable) {
+    asArray(names).forEach(name => this._resolvers[name] = resolver);
+  }
+
+  /**
+   * Sets the state which unauthorized transitions are redirected to
+   *
+   * When no unauthorized state is set, unauthorized transitions are cancelled.
+   *
+   * @param stateName the name of the state, or `null` to cancel unauthorized transitions
+   * @param params the parameter values for the state
+   */
+  unauthorizedState(stateName: string, params?: RawParams) {
+    this._unauthorized = stateName ? { state: stateName, params } : null;
+  }
+
+  /**
+   * Sets the login state
+   *
+   * When the user is not authorized to activate a state, and is not authenticated,
+   * the transition is redirected to the login state (instead of the [[unauthorizedState]]).
+   *
+   * @param stateName the name of the login state
+   * @param isAuthenticated an injectable function which returns `true` (or a promise for `true`) if the user is authenticated.
+   *        The `$transition$` is injectable as a local.
+   */
+  loginState(stateName: string, isAuthenticated: IInjectable) {
+    this._login = { state: stateName, isAuthenticated };
+  }
+
+  /**
+   * Checks the permissions of the `ui-sref-unauthorized` (and `ui-state-unauthorized`) links again
+   *
+   * Call this when the user's permissions change, i.e., after the user logs in (or out).
+   *
+   * #### Example:
+   * ```js
+   * UserService.login(credentials).then(function() {
+   *   $permission.refresh();
+   * });
+   * ```
+   */
+  refresh() {
+    this._refreshCallbacks.slice().forEach(callback => callback());
+  }
+
+  /**
+   * @hidden
+   * Registers a callback for [[refresh]]
+   *
+   * @return a function which deregisters the callback
+   */
+  onRefresh(callback: Function): Function {
+    this._refreshCallbacks.push(callback);
+    return () => removeFrom(this._refreshCallbacks, callback);
+  }
+
+  /**
+   * Determines if the user has a permission
+   *
+   * @param name the name of the permission (or role)
+   * @param locals additional locals to inject into the resolver
+   * @return a promise for `true` if the user has the permission
+   */
+  hasPermission(name: string, locals?: any): Promise<boolean> {
+    let resolver = this._resolvers[name], $q = services.$q;
+    if (!resolver) return $q.when(false);
+
+    let result = $q.when().then(() => invokeSettled(resolver, null, extend({ $permissionName: name }, locals)));
+    return result.then(value => value === true, () => false);
+  }
+
+  /**
+   * Determines if the user is authorized to activate a target state
+   *
+   * The target state and parameters are processed the same as [[StateService.go]] would.
+   * The permissions of the target state, and of its ancestors, are checked.
+   *
+   * @param stateOrName the target state, or its name
+   * @param params the target parameter values
+   * @param options [[TransitionOptions]] (such as `relative`)
+   * @return a promise for `true` if the user is authorized (or if the target state is invalid)
+   */
+  authorize(stateOrName: StateOrName, params?: RawParams, options?: TransitionOptions): Promise<boolean> {
+    let stateService = this._router.stateService;
+    options = extend({ inherit: true, relative: stateService.$current }, options);
+
+    let target = stateService.target(stateOrName, params, options);
+    if (!target.valid()) return services.$q.when(true);
+    return this._authorize(target.$state().path, target.params());
+  }
+
+  /** @hidden Resolves to `true` if the user has the permissions declared by each of the states */
+  private _authorize(states: StateObject[], params: RawParams): Promise<boolean> {
+    let $q = services.$q;
+    const some = (promises: Promise<boolean>[]) => $q.all(promises).then(results => results.some(identity));
+
+    let checks = states.filter(state => !!ownPermissions(state)).map(state => {
+      let permissions = ownPermissions(state);
+      const has = (name: string) => this.hasPermission(name, { $state$: state.self, $params: params });
+
+      let only = asArray(permissions.only), except = asArray(permissions.except);
+      let hasOnly = only.length ? some(only.map(has)) : $q.when(true);
+      let hasExcept = some(except.map(has));
+      return $q.all([hasOnly, hasExcept]).then(([allowed, denied]) => allowed && !denied);
+    });
+
+    return $q.all(checks).then(results => results.every(identity));
+  }
+
+  /** @hidden Redirects (or cancels) the transition if the user is not authorized to activate the entering states */
+  private _authorizeTransition(trans: Transition): Promise<TargetState | boolean | void> {
+    let entering = trans.entering().map(state => state.$$state());
+    return this._authorize(entering, trans.params()).then(allowed => allowed ? undefined : this._unauthorizedTarget(trans));
+  }
+
+  /** @hidden The login state (if the user is not authenticated), the unauthorized state, or `false` (to cancel) */
+  private _unauthorizedTarget(trans: Transition): Promise<TargetState | boolean> {
+    let stateService = trans.router.stateService, login = this._login;
+    let isAuthenticated = login ? services.$injector.invoke(login.isAuthenticated, null, { $transition$: trans }) : true;
+
+    return services.$q.when(isAuthenticated).then(authenticated => {
+      if (authenticated !== true) {
+        this._pendingTarget.save(trans.targetState());
+        return stateService.target(login.state);
+      }
+
+      let unauthorized = this._unauthorized;
+      return unauthorized ? stateService.target(unauthorized.state, unauthorized.params) : false;
+    });
+  }
+}
+
+angular.module('ui.router.state').provider('$permission', () => new Permissions());
+// Instantiate the service so the permissions are checked for the initial transition
+angular.module('ui.router.state').run(['$permission', function ($permission: Permissions) { }]);
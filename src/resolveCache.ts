@@ -0,0 +1,225 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { UIRouter, Transition, PathNode, Resolvable, RawParams, services, isDefined, removeFrom, noop } from "@uirouter/core";
+
+declare module "@uirouter/core/lib/resolve/interface" {
+  interface ResolvePolicy {
+    /**
+     * The cache policy of the resolve
+     *
+     * The resolved data is cached by the [[ResolveCache]] (across transitions).
+     * See [[ResolveCachePolicy]].
+     */
+    cache?: ResolveCachePolicy;
+  }
+}
+
+/**
+ * The cache policy of a resolve
+ *
+ * Declare the cache policy as the `cache` of the resolve's policy,
+ * i.e., using the `resolvePolicy` of the state (for an object style `resolve` block),
+ * or the `policy` of a resolve literal (for an array style `resolve` block).
+ *
+ * When the state is entered again (with the same cache key) before the cached data expires,
+ * the cached data is used, and the resolve function is not invoked.
+ *
+ * #### Example:
+ * ```js
+ * $stateProvider.state({
+ *   name: 'users',
+ *   url: '/users?page',
+ *   resolve: {
+ *     users: function(UserService, $transition$) {
+ *       return UserService.list($transition$.params().page);
+ *     }
+ *   },
+ *   resolvePolicy: {
+ *     users: { cache: { ttl: 30000, key: function(params) { return params.page; } } }
+ *   }
+ * });
+ * ```
+ */
+export interface ResolveCachePolicy {
+  /**
+   * How long (in milliseconds) the cached data is used.
+   * By default, the data is cached until it is invalidated (or, with [[staleWhileRevalidate]], the data is always revalidated).
+   */
+  ttl?: number;
+  /**
+   * A function which returns the cache key for the parameter values (of the state)
+   *
+   * The data is cached separately for each key.
+   * The key is compared by value (as JSON).
+   * By default, the key is all the parameter values of the state.
+   */
+  key?: (params: RawParams, trans: Transition) => any;
+  /**
+   * Renders the view at once, using the stale data, while the resolve is fetched again
+   *
+   * When the cached data is stale (older than the [[ttl]]), the state is entered using the stale data
+   * (without waiting for the resolve), and the resolve is fetched again in the background.
+   * When the fresh data is fetched, the resolve data is updated,
+   * and the `uiOnResolveUpdated` callback of the views is called (see [[Ng1Controller.uiOnResolveUpdated]]).
+   *
+   * #### Example:
+   * ```js
+   * resolvePolicy: {
+   *   users: { cache: { staleWhileRevalidate: true, placeholder: [] } }
+   * }
+   * ```
+   */
+  staleWhileRevalidate?: boolean;
+  /**
+   * The data which is used while the resolve is fetched, when there is no cached data (see [[staleWhileRevalidate]])
+   *
+   * Without a placeholder, the state is entered after the first fetch completes.
+   */
+  placeholder?: any;
+}
+
+/** @hidden */
+interface ResolveCacheEntry {
+  token: any;
+  state: string;
+  key: string;
+  expires: number;
+  promise: Promise<any>;
+  /** The stale data is kept (see ResolveCachePolicy.staleWhileRevalidate) */
+  revalidate: boolean;
+}
+
+/** @hidden A callback for the revalidated data of a resolve */
+export type ResolveUpdatedCallback = (resolvable: Resolvable, data: any) => void;
+
+/** @hidden */
+const cacheKey = (key: any) => JSON.stringify(isDefined(key) ? key : null);
+
+/**
+ * Caches the resolve data across transitions
+ *
+ * Resolves are fetched whenever a state is entered.
+ * When a resolve has a [[ResolveCachePolicy]], its data is cached,
+ * so when the state is entered again, the cached data is used (until it expires, or it is invalidated).
+ *
+ * A resolve function which fails is not cached.
+ * When the revalidation of stale data (see [[ResolveCachePolicy.staleWhileRevalidate]]) fails, the stale data is kept.
+ * A transition which reloads a state (i.e., `$state.reload()`) fetches the resolves again (and caches the fresh data).
+ *
+ * #### Example:
+ * ```js
+ * app.controller('UserCtrl', function($resolveCache, $state) {
+ *   this.save = function(user) {
+ *     return UserService.save(user).then(function() {
+ *       $resolveCache.invalidate('users');
+ *       return $state.go('users');
+ *     });
+ *   };
+ * });
+ * ```
+ */
+export class ResolveCache {
+  /** @hidden */ private _entries: ResolveCacheEntry[] = [];
+  /** @hidden */ private _updatedCallbacks: ResolveUpdatedCallback[] = [];
+
+  /** @hidden */ $get = ['$uiRouter', ($uiRouter: UIRouter) => {
+    $uiRouter.transitionService.onCreate({}, (trans: Transition) => {
+      trans.treeChanges().entering.forEach(node => this._cacheResolvables(trans, node));
+    });
+    return this;
+  }];
+
+  /**
+   * Invalidates cached resolve data
+   *
+   * #### Example:
+   * ```js
+   * $resolveCache.invalidate('user', 42); // The user for the cache key 42
+   * $resolveCache.invalidate('users');    // All the cached users
+   * $resolveCache.invalidate();           // All the cached data
+   * ```
+   *
+   * @param token the token of the resolve (or `undefined` for every resolve)
+   * @param key the cache key (or `undefined` for every key)
+   */
+  invalidate(token?: any, key?: any) {
+    let keyString = cacheKey(key);
+    this._entries = this._entries.filter(entry =>
+        isDefined(token) && entry.token !== token || isDefined(key) && entry.key !== keyString);
+  }
+
+  /**
+   * @hidden
+   * Registers a callback for the revalidated data of a resolve
+   *
+   * @return a function which deregisters the callback
+   */
+  onUpdated(callback: ResolveUpdatedCallback): Function {
+    this._updatedCallbacks.push(callback);
+    return () => removeFrom(this._updatedCallbacks, callback);
+  }
+
+  /** @hidden Uses the cached data for the resolves of a node, or caches the data when the resolve is fetched */
+  private _cacheResolvables(trans: Transition, node: PathNode) {
+    let reload = !!trans.options().reload;
+
+    node.resolvables.filter(resolvable => !resolvable.resolved && resolvable.policy && !!resolvable.policy.cache).forEach(resolvable => {
+      let policy = resolvable.policy.cache, revalidate = !!policy.staleWhileRevalidate;
+      let key = cacheKey(policy.key ? policy.key(node.paramValues, trans) : node.paramValues);
+      let entry = reload ? null : this._find(resolvable.token, node.state.name, key);
+
+      if (entry && entry.expires > Date.now()) {
+        resolvable.resolveFn = () => entry.promise;
+        resolvable.deps = [];
+        return;
+      }
+
+      let resolveFn = resolvable.resolveFn, ttl = isDefined(policy.ttl) ? policy.ttl : revalidate ? 0 : Infinity;
+      const fetch = (args: any[]) => services.$q.when(resolveFn.apply(null, args));
+      const store = (promise: Promise<any>) =>
+          this._store({ token: resolvable.token, state: node.state.name, key, expires: Date.now() + ttl, promise, revalidate });
+
+      if (!revalidate || !entry && !policy.hasOwnProperty('placeholder')) {
+        resolvable.resolveFn = (...args: any[]) => store(fetch(args));
+        return;
+      }
+
+      // Enter the state using the stale data (or the placeholder), and update the data after it is fetched.
+      // The stale data is replaced (in the cache) only when the fetch succeeds.
+      let stale = entry ? entry.promise : services.$q.when(policy.placeholder);
+      resolvable.resolveFn = (...args: any[]) => {
+        let promise = fetch(args);
+        promise.then(data => {
+          store(promise);
+          return resolvable.promise.then(() => this._updated(resolvable, data));
+        }, noop);
+        return stale;
+      };
+    });
+  }
+
+  /** @hidden Updates the data of a resolve with the revalidated data */
+  private _updated(resolvable: Resolvable, data: any) {
+    resolvable.data = data;
+    this._updatedCallbacks.slice().forEach(callback => callback(resolvable, data));
+  }
+
+  /** @hidden Finds a cache entry which is unexpired (or which keeps the stale data) */
+  private _find(token: any, state: string, key: string): ResolveCacheEntry {
+    let now = Date.now();
+    this._entries = this._entries.filter(entry => entry.expires > now || entry.revalidate);
+    return this._entries.filter(entry => entry.token === token && entry.state === state && entry.key === key)[0];
+  }
+
+  /** @hidden Adds (or replaces) a cache entry. It is removed if the resolve fails. */
+  private _store(entry: ResolveCacheEntry): Promise<any> {
+    const isSame = (other: ResolveCacheEntry) => other.token === entry.token && other.state === entry.state && other.key === entry.key;
+    this._entries = this._entries.filter(other => !isSame(other)).concat(entry);
+    entry.promise.catch(() => this._entries = this._entries.filter(other => other !== entry));
+    return entry.promise;
+  }
+}
+
+angular.module('ui.router.state').provider('$resolveCache', () => new ResolveCache());
+// Instantiate the service so the resolve data is cached from the initial transition
+angular.module('ui.router.state').run(['$resolveCache', function ($resolveCache: ResolveCache) { }]);
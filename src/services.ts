@@ -16,14 +16,20 @@ import {
 } from "angular";
 import {
   services, applyPairs, isString, trace, extend, UIRouter, StateService, UrlRouter, UrlMatcherFactory, ResolveContext,
-  unnestR, TypedMap
+  unnestR, TypedMap, IInjectable
 } from "@uirouter/core";
 import { ng1ViewsBuilder, getNg1ViewConfigFactory } from "./statebuilders/views";
 import { TemplateFactory } from "./templateFactory";
+import { NativePromises, invokeSettled } from "./nativePromises";
 import { StateProvider } from "./stateProvider";
 import { getStateHookBuilder } from "./statebuilders/onEnterExitRetain";
+import { getStateGuardBuilder, registerGuardHook } from "./statebuilders/guards";
+import { getNg1UrlBuilder } from "./statebuilders/url";
+import { ng1RedirectToBuilder, registerRedirectToHook } from "./statebuilders/redirectTo";
 import { Ng1LocationServices } from "./locationServices";
 import { UrlRouterProvider } from "./urlRouterProvider";
+import { registerParamTypes } from "./paramTypes";
+import { paramSchemaBuilder, registerParamSchemaHook } from "./paramSchema";
 import IInjectorService = angular.auto.IInjectorService; // tslint:disable-line
 
 angular.module("ui.router.angular1", []);
@@ -53,17 +59,26 @@ function $uiRouter($locationProvider: ILocationProvider) {
   router = this.router = new UIRouter();
   router.stateProvider = new StateProvider(router.stateRegistry, router.stateService);
 
-  // Apply ng1 specific StateBuilder code for `views`, `resolve`, and `onExit/Retain/Enter` properties
+  // Apply ng1 specific StateBuilder code for `views`, `resolve`, `onExit/Retain/Enter`, `redirectTo`, guard properties, and param schemas
   router.stateRegistry.decorator("views",    ng1ViewsBuilder);
   router.stateRegistry.decorator("onExit",   getStateHookBuilder("onExit"));
   router.stateRegistry.decorator("onRetain", getStateHookBuilder("onRetain"));
   router.stateRegistry.decorator("onEnter",  getStateHookBuilder("onEnter"));
+  router.stateRegistry.decorator("url",      getNg1UrlBuilder(router.urlMatcherFactory));
+  router.stateRegistry.decorator("redirectTo", ng1RedirectToBuilder);
+  router.stateRegistry.decorator("canActivate",   getStateGuardBuilder("canActivate"));
+  router.stateRegistry.decorator("canDeactivate", getStateGuardBuilder("canDeactivate"));
+  router.stateRegistry.decorator("params",   paramSchemaBuilder);
+  registerGuardHook(router.transitionService);
+  registerRedirectToHook(router.transitionService);
+  registerParamSchemaHook(router.transitionService);
 
   router.viewService._pluginapi._viewConfigFactory('ng1', getNg1ViewConfigFactory());
 
   let ng1LocationService = router.locationService = router.locationConfig = new Ng1LocationServices($locationProvider);
 
   Ng1LocationServices.monkeyPatchPathParameterType(router);
+  registerParamTypes(router);
 
   // backwards compat: also expose router instance as $uiRouterProvider.router
   router['router'] = router;
@@ -118,6 +133,7 @@ mod_rtr  .provider('$urlRouter',         ['$uiRouterProvider', getUrlRouterProvi
 mod_util .provider('$urlService',        getProviderFor('urlService'));
 mod_util .provider('$urlMatcherFactory', ['$uiRouterProvider', () => router.urlMatcherFactory]);
 mod_util .provider('$templateFactory',   () => new TemplateFactory());
+mod_state.provider('$nativePromises',    () => new NativePromises());
 mod_state.provider('$stateRegistry',     getProviderFor('stateRegistry'));
 mod_state.provider('$uiRouterGlobals',   getProviderFor('globals'));
 mod_state.provider('$transitions',       getProviderFor('transitionService'));
@@ -129,7 +145,9 @@ mod_main .service ("$trace",             () => trace);
 
 mod_main .run     (watchDigests);
 mod_util .run     (['$urlMatcherFactory', function ($urlMatcherFactory: UrlMatcherFactory) { }]);
+mod_state.run     (['$templateFactory', function ($templateFactory: TemplateFactory) { }]);
 mod_state.run     (['$state', function ($state: StateService) { }]);
+mod_state.run     (['$nativePromises', function ($nativePromises: NativePromises) { }]);
 mod_rtr  .run     (['$urlRouter', function ($urlRouter: UrlRouter) { }]);
 mod_init .run     (runBlock);
 
@@ -146,3 +164,9 @@ export const getLocals = (ctx: ResolveContext): TypedMap<any> => {
   return tuples.reduce(applyPairs, {});
 };
 
+/** @hidden Interpolates a string template (against the locals), or invokes an injectable function (with the locals) */
+export const interpolateOrInvoke = (value: string | IInjectable, locals: TypedMap<any>): Promise<any> => {
+  if (isString(value)) return services.$q.when(services.$injector.get('$interpolate')(value)(locals));
+  return services.$q.when(invokeSettled(value, null, locals));
+};
+
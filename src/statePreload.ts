@@ -0,0 +1,178 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import {
+  UIRouter, PathNode, PathUtils, ResolveContext, Transition, StateOrName, RawParams, TransitionOptions,
+  extend, find, isDefined, noop, pick, services
+} from "@uirouter/core";
+import { Ng1ViewConfig } from "./statebuilders/views";
+
+/** @hidden A preloaded `to` path, and the promise for its views (and resolves) */
+interface PreloadedPath {
+  path: PathNode[];
+  promise: Promise<any>;
+  expires: number;
+}
+
+/** Options for [[StatePreload.preload]] */
+export interface StatePreloadOptions extends TransitionOptions {
+  /**
+   * Also fetch the target state's `EAGER` resolves.
+   *
+   * Defaults to the value set by [[StatePreload.preloadResolves]] (`false`)
+   */
+  resolves?: boolean;
+}
+
+/** @hidden The path of the latest successful transition (or the root path) */
+const currentPath = (router: UIRouter): PathNode[] => {
+  let latestSuccess: Transition = router.globals.successfulTransitions.peekTail();
+  return latestSuccess ? latestSuccess.treeChanges().to : [new PathNode(router.stateRegistry.root())];
+};
+
+/** @hidden */
+function reuseNode(trans: Transition, node: PathNode, preloaded: PathNode) {
+  preloaded.resolvables
+      .filter(resolvable => resolvable.resolved)
+      .forEach(resolvable => trans.addResolvable(resolvable.clone(), node.state));
+
+  node.views.forEach((view: Ng1ViewConfig) => {
+    let loaded = find(preloaded.views, (x: Ng1ViewConfig) => x.loaded && x.viewDecl === view.viewDecl);
+    if (view instanceof Ng1ViewConfig && loaded) {
+      extend(view, pick(loaded, ['template', 'component', 'controller']), { loaded: true });
+    }
+  });
+}
+
+/**
+ * Preloads the views of a state before it is activated
+ *
+ * This service loads the views ([[Ng1ViewConfig]]s) of a target state ahead of time.
+ * It loads the view templates (`template`, `templateUrl`, `templateProvider`, `componentProvider`)
+ * and the `controllerProvider`.  Optionally, it also fetches the target state's `EAGER` resolves.
+ *
+ * When a transition to the same state (and parameter values) is later started, it reuses the preloaded results.
+ * Preloaded results are discarded after any transition completes successfully,
+ * or when they expire (see [[StatePreload.preloadTtl]]).
+ *
+ * This service is used by the [[directives.uiSref]] and [[directives.uiState]] directives when
+ * `ui-sref-preload` (or `ui-state-preload`) is present.
+ *
+ * #### Example:
+ * ```js
+ * app.config(function($statePreloadProvider) {
+ *   // Also fetch EAGER resolves when preloading
+ *   $statePreloadProvider.preloadResolves(true);
+ * });
+ *
+ * app.run(function($statePreload) {
+ *   $statePreload.preload('inbox.messages', { folder: 'inbox' });
+ * });
+ * ```
+ */
+export class StatePreload {
+  /** @hidden */ private _resolves = false;
+  /** @hidden */ private _ttl = 30000;
+  /** @hidden */ private _router: UIRouter;
+  /** @hidden */ private _preloaded: PreloadedPath[] = [];
+
+  /** @hidden */ $get = ['$uiRouter', ($uiRouter: UIRouter) => {
+    this._router = $uiRouter;
+    $uiRouter.transitionService.onBefore({}, (trans: Transition) => this._reusePreloaded(trans));
+    $uiRouter.transitionService.onSuccess({}, () => { this._preloaded = []; });
+    return this;
+  }];
+
+  /**
+   * Enables or disables preloading of `EAGER` resolves by default
+   *
+   * @param enabled `true` to fetch the target state's `EAGER` resolves when preloading
+   */
+  preloadResolves(enabled: boolean) {
+    this._resolves = enabled;
+  }
+
+  /**
+   * Sets how long the preloaded results are kept
+   *
+   * Preloaded results which are not used by a transition within this time are discarded,
+   * so a later transition fetches the views (and resolves) again.
+   *
+   * @param ttl the time (in milliseconds) to keep the preloaded results (`30000` by default)
+   */
+  preloadTtl(ttl: number) {
+    this._ttl = ttl;
+  }
+
+  /**
+   * Preloads the views of a target state
+   *
+   * The target state and parameters are processed the same as [[StateService.go]] would.
+   *
+   * @param stateOrName the target state, or its name
+   * @param params the target parameter values
+   * @param options [[TransitionOptions]] (such as `relative`) and the [[StatePreloadOptions.resolves]] option
+   *
+   * @return a promise which resolves when the views have been loaded
+   */
+  preload(stateOrName: StateOrName, params?: RawParams, options?: StatePreloadOptions): Promise<any> {
+    let router = this._router, $q = services.$q;
+    options = extend({ inherit: true, relative: router.stateService.$current }, options);
+
+    let target = router.stateService.target(stateOrName, params, options);
+    if (!target.valid()) return $q.reject(target.error());
+
+    let fromPath = currentPath(router);
+    let treeChanges = PathUtils.treeChanges(fromPath, PathUtils.buildToPath(fromPath, target), target.options().reloadState);
+
+    let existing = find(this._unexpired(), (x: PreloadedPath) => PathUtils.equals(x.path, treeChanges.to));
+    if (existing) return existing.promise;
+
+    let enteringStates = treeChanges.entering.map(node => node.state);
+    PathUtils.applyViewConfigs(router.viewService, treeChanges.to, enteringStates);
+
+    let preloadResolves = isDefined(options.resolves) ? options.resolves : this._resolves;
+    // Resolves which fail (for example, because they inject `$transition$`) are simply fetched again by the transition
+    let resolves = preloadResolves ? new ResolveContext(treeChanges.to).resolvePath("EAGER").catch(noop) : $q.when();
+    let views = treeChanges.entering
+        .map(node => node.views)
+        .reduce((acc, nodeViews) => acc.concat(nodeViews), [])
+        .map(view => view.load());
+
+    let entry: PreloadedPath = { path: treeChanges.to, promise: null, expires: Date.now() + this._ttl };
+    this._preloaded.push(entry);
+
+    const preloadFailed = (error) => {
+      this._preloaded = this._preloaded.filter(x => x !== entry);
+      return $q.reject(error);
+    };
+
+    return entry.promise = $q.all([resolves, $q.all(views)]).then(() => undefined, preloadFailed);
+  }
+
+  /**
+   * @hidden
+   * Copies preloaded views and resolve data to the matching entering nodes of a transition
+   *
+   * The nodes which the transition reloads (i.e., `reload: true`) fetch their data again.
+   */
+  private _reusePreloaded(trans: Transition) {
+    let toPath = trans.treeChanges('to');
+    let reloadState = trans.options().reloadState;
+    let entering = trans.treeChanges('entering').filter(node => !reloadState || !node.state.includes[reloadState.name]);
+
+    this._unexpired().forEach(entry => {
+      PathUtils.matching(toPath, entry.path)
+          .map((node, idx) => [node, entry.path[idx]])
+          .filter(([node]) => entering.indexOf(node) !== -1)
+          .forEach(([node, preloaded]) => reuseNode(trans, node, preloaded));
+    });
+  }
+
+  /** @hidden Discards the expired preloaded paths */
+  private _unexpired(): PreloadedPath[] {
+    let now = Date.now();
+    return this._preloaded = this._preloaded.filter(entry => entry.expires > now);
+  }
+}
+
+angular.module('ui.router.state').provider('$statePreload', () => new StatePreload());
@@ -0,0 +1,136 @@
+/** @module ng1 */ /** */
+import {
+  StateObject, Transition, TransitionService, TargetState, HookResult, ResolveContext, UrlMatcher, BuilderFunction,
+  IInjectable, services, extend, isArray, isDefined, isInjectable, isPromise
+} from "@uirouter/core";
+import { getLocals } from "../services";
+import { invokeSettled } from "../nativePromises";
+
+/** @hidden A compiled guard, invoked with the transition and the state which is being entered (or exited) */
+export type Ng1GuardFn = (trans: Transition, state: StateObject) => HookResult;
+
+/** @hidden Normalizes a `canActivate`/`canDeactivate`/`canMatch` declaration to an array of injectables */
+const asArray = (guards: IInjectable | IInjectable[]): IInjectable[] => {
+  if (!isDefined(guards)) return [];
+  // An array annotated injectable, i.e., ['MyService', function(MyService) {}], is a single guard
+  return isArray(guards) && !isInjectable(guards) ? <IInjectable[]> guards : [<IInjectable> guards];
+};
+
+/**
+ * This is a [[StateBuilder.builder]] function for the angular1 `canActivate` and `canDeactivate`
+ * guards on a [[Ng1StateDeclaration]].
+ *
+ * When the [[StateBuilder]] builds a [[StateObject]] object from a raw [[StateDeclaration]], this builder
+ * compiles the guards into injectable functions, appended to the guards inherited from the parent state.
+ */
+export const getStateGuardBuilder = (guardName: "canActivate"|"canDeactivate") =>
+function stateGuardBuilder(state: StateObject, parentFn: BuilderFunction): Ng1GuardFn[] {
+  let inherited: Ng1GuardFn[] = state.parent && state.parent[guardName] || [];
+  let pathname = guardName === 'canDeactivate' ? 'from' : 'to';
+
+  let guards = asArray(state.self[guardName]).map(guard =>
+      function decoratedNg1Guard(trans: Transition, _state: StateObject): HookResult {
+        let resolveContext = new ResolveContext(trans.treeChanges(pathname)), self = this;
+        // Fetch the resolves which the guard injects (the guards run before the resolves are fetched)
+        let tokens = resolveContext.getTokens();
+        let deps = services.$injector.annotate(guard).filter(dep => dep !== '$transition$' && tokens.indexOf(dep) !== -1);
+        let resolved = deps.map(dep => resolveContext.getResolvable(dep).get(resolveContext, trans));
+
+        return services.$q.all(resolved).then(() => {
+          let locals = extend(getLocals(resolveContext), { $state$: _state.self, $transition$: trans });
+          return invokeSettled(guard, self, locals);
+        });
+      });
+
+  return inherited.concat(guards);
+};
+
+/**
+ * @hidden
+ * Invokes the guards for the states, one at a time.
+ *
+ * Each guard is invoked at most once, for the first state which has it (i.e., an inherited guard is invoked once).
+ * Resolves to `true` if all guards allowed the transition,
+ * or to the result (`false` or a redirect [[TargetState]]) of the first guard which did not.
+ */
+function invokeGuards(trans: Transition, states: StateObject[], guardName: string): Promise<HookResult> {
+  let $q = services.$q, invoked: Ng1GuardFn[] = [];
+  let queue: [Ng1GuardFn, StateObject][] = [];
+  states.forEach(state => (state[guardName] || []).forEach((guard: Ng1GuardFn) => {
+    if (invoked.indexOf(guard) !== -1) return;
+    invoked.push(guard);
+    queue.push([guard, state]);
+  }));
+
+  const next = (): Promise<HookResult> => {
+    if (!queue.length) return $q.when(true);
+    let [guard, state] = queue.shift();
+    return $q.when(guard(trans, state)).then(result =>
+        (result === false || result instanceof TargetState) ? result : next());
+  };
+
+  return next();
+}
+
+/**
+ * @hidden
+ * Registers the transition hook which invokes the `canDeactivate` guards of the exiting states,
+ * then the `canActivate` guards of the entering states.
+ *
+ * A guard may return a boolean, a [[TargetState]] (to redirect), or a promise for either.
+ */
+export function registerGuardHook(transitionService: TransitionService) {
+  const hasGuards = (guardName: string) => (state: StateObject) => !!(state[guardName] && state[guardName].length);
+
+  const guardHook = (guardName: string, getStates: (trans: Transition) => StateObject[]) => (trans: Transition) =>
+      invokeGuards(trans, getStates(trans), guardName).then(result => result === true ? undefined : result);
+
+  // The canDeactivate guards are invoked first (higher priority)
+  let exiting = (trans: Transition) => trans.exiting().map(state => state.$$state());
+  transitionService.onBefore({ exiting: hasGuards('canDeactivate') }, guardHook('canDeactivate', exiting), { priority: 1 });
+
+  let entering = (trans: Transition) => trans.entering().map(state => state.$$state());
+  transitionService.onBefore({ entering: hasGuards('canActivate') }, guardHook('canActivate', entering));
+}
+
+/** @hidden A [[UrlMatcher]] which applies the `canMatch` guards of a state */
+export interface GuardedUrlMatcher extends UrlMatcher {
+  /** The UrlMatcher without the guards */
+  _unguarded: UrlMatcher;
+}
+
+/** @hidden The UrlMatcher without the `canMatch` guards (see [[canMatchUrlMatcher]]) */
+export const unguardedUrlMatcher = (urlMatcher: UrlMatcher): UrlMatcher =>
+    (<GuardedUrlMatcher> urlMatcher)._unguarded || urlMatcher;
+
+/**
+ * @hidden
+ * Applies the angular1 `canMatch` guards on a [[Ng1StateDeclaration]] to the state's [[UrlMatcher]].
+ *
+ * When a state (or one of its ancestors) has `canMatch` guards, its [[UrlMatcher]] only matches a url
+ * if all the guards return `true`.
+ * When the guards do not allow the match, the url is matched against the other url rules (or the `otherwise` rule).
+ *
+ * Url matching is synchronous, so a guard which returns a promise throws an error.
+ */
+export function canMatchUrlMatcher(state: StateObject, urlMatcher: UrlMatcher): UrlMatcher {
+  let guards: IInjectable[] = [];
+  for (let _state = state; _state; _state = _state.parent) {
+    guards = asArray(_state.self['canMatch']).concat(guards);
+  }
+  if (!guards.length) return urlMatcher;
+
+  let guarded: GuardedUrlMatcher = Object.create(urlMatcher);
+  guarded._unguarded = urlMatcher;
+  guarded.exec = function (...args: any[]) {
+    let params = urlMatcher.exec.apply(this, args);
+    let locals = { $params: params, $state$: state.self };
+    const allowed = (guard: IInjectable) => {
+      let result = services.$injector.invoke(guard, null, locals);
+      if (isPromise(result)) throw new Error(`The canMatch guard of state '${state.name}' returned a promise, but it must return a boolean`);
+      return result === true;
+    };
+    return params && guards.every(allowed) ? params : null;
+  };
+  return guarded;
+}
@@ -1,8 +1,9 @@
 /** @module ng1 */ /** */
 import {
-  StateObject, TransitionStateHookFn, HookResult, Transition, services, ResolveContext, extend, BuilderFunction
+  StateObject, TransitionStateHookFn, HookResult, Transition, ResolveContext, extend, BuilderFunction
 } from "@uirouter/core";
 import { getLocals } from "../services";
+import { invokeSettled } from "../nativePromises";
 import { Ng1StateDeclaration } from '../interface';
 
 /**
@@ -20,7 +21,7 @@ function stateHookBuilder(state: StateObject, parentFn: BuilderFunction): Transi
   function decoratedNg1Hook(trans: Transition, state: Ng1StateDeclaration): HookResult {
     let resolveContext = new ResolveContext(trans.treeChanges(pathname));
     let locals = extend(getLocals(resolveContext), { $state$: state, $transition$: trans });
-    return services.$injector.invoke(hook, this, locals);
+    return invokeSettled(hook, this, locals);
   }
 
   return hook ? decoratedNg1Hook : undefined;
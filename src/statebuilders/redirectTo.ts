@@ -0,0 +1,64 @@
+/** @module ng1 */ /** */
+import {
+  StateObject, Transition, TransitionService, TargetState, RedirectToResult, ResolveContext, BuilderFunction, HookResult,
+  services, extend, identity, isArray, isFunction, isInjectable, isString
+} from "@uirouter/core";
+import { getLocals } from "../services";
+import { invokeSettled } from "../nativePromises";
+
+/** @hidden An explicitly annotated injectable, i.e., `['project', function(project) {}]`, or a function with an `$inject` array */
+const isAnnotated = (redirectTo: any): boolean =>
+    isArray(redirectTo) ? isInjectable(redirectTo) : isFunction(redirectTo) && isArray(redirectTo.$inject);
+
+/**
+ * This is a [[StateBuilder.builder]] function for the angular1 `redirectTo` property on a [[Ng1StateDeclaration]].
+ *
+ * An annotated injectable `redirectTo` is invoked by the ng1 `redirectTo` hook (see [[registerRedirectToHook]]).
+ * This builder hides it from the core `redirectTo` hook, which would invoke it with the [[Transition]] instead.
+ */
+export function ng1RedirectToBuilder(state: StateObject, parentFn: BuilderFunction) {
+  let redirectTo: any = state.self.redirectTo;
+  return isAnnotated(redirectTo) ? undefined : redirectTo;
+}
+
+/**
+ * @hidden
+ * A [[TransitionHookFn]] that invokes an injectable `redirectTo`, and redirects to a different state or params
+ *
+ * The resolves which the function injects are fetched before the function is invoked.
+ */
+function ng1RedirectToHook(trans: Transition): HookResult {
+  let state = trans.$to(), redirectTo: any = state.self.redirectTo;
+  let $injector = services.$injector, $state = trans.router.stateService;
+  let resolveContext = new ResolveContext(trans.treeChanges('to'));
+
+  function handleResult(result: RedirectToResult) {
+    if (!result) return;
+    if (result instanceof TargetState) return result;
+    if (isString(result)) return $state.target(result, trans.params(), trans.options());
+    if (result['state'] || result['params'])
+      return $state.target(result['state'] || trans.to(), result['params'] || trans.params(), trans.options());
+  }
+
+  let resolving = $injector.annotate(redirectTo)
+      .map(token => resolveContext.getResolvable(token))
+      .filter(identity)
+      .map(resolvable => resolvable.get(resolveContext, trans));
+
+  return <Promise<TargetState>> services.$q.all(resolving).then(() => {
+    let locals = extend(getLocals(resolveContext), { $state$: state.self, $transition$: trans });
+    return invokeSettled(redirectTo, null, locals);
+  }).then(handleResult);
+}
+
+/**
+ * @hidden
+ * Registers the hook which invokes the injectable `redirectTo` functions
+ *
+ * The other `redirectTo` values (including a plain function of the [[Transition]]) are handled by the core `redirectTo` hook.
+ * This hook has a higher priority, so it redirects first.
+ */
+export function registerRedirectToHook(transitionService: TransitionService) {
+  let criteria = { to: (state: StateObject) => isAnnotated(state.self.redirectTo) };
+  transitionService.onStart(criteria, ng1RedirectToHook, { priority: 1 });
+}
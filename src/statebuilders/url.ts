@@ -0,0 +1,27 @@
+/** @module ng1 */ /** */
+import { StateObject, UrlMatcher, UrlMatcherFactory, BuilderFunction } from "@uirouter/core";
+import { canMatchUrlMatcher } from "./guards";
+import { nestedQueryUrlMatcher, unwrapAutoArrayParams } from "../paramTypes";
+import { LocalizedUrlMatcher, hasLocalizedUrl, localizedUrlMatcher } from "../localizedUrl";
+
+/**
+ * This is a [[StateBuilder.builder]] function decorator for the angular1 `url` on a [[Ng1StateDeclaration]].
+ *
+ * When the [[StateBuilder]] builds a [[StateObject]] object from a raw [[StateDeclaration]], this builder
+ * decorates the state's [[UrlMatcher]] to:
+ *
+ * - match (and build) localized urls, when the `url` is an object of url patterns by locale (see [[LocalizedUrls]])
+ * - encode (and decode) the object values of the angular1 parameter types as a whole, not item by item
+ * - encode (and decode) `nested` query parameters using nested (bracket) keys, i.e., `filter[0][name]=bob`
+ * - match a url only if the `canMatch` guards of the state (and its ancestors) allow it
+ */
+export const getNg1UrlBuilder = (urlMatcherFactory: UrlMatcherFactory) =>
+function ng1UrlBuilder(state: StateObject, parentFn: BuilderFunction): UrlMatcher {
+  let urlMatcher: UrlMatcher = hasLocalizedUrl(state) ? localizedUrlMatcher(state, urlMatcherFactory) : parentFn(state);
+  if (!urlMatcher) return urlMatcher;
+
+  let localeMatchers = (<LocalizedUrlMatcher> urlMatcher)._localeMatchers;
+  let matchers = localeMatchers ? Object.keys(localeMatchers).map(locale => localeMatchers[locale]) : [urlMatcher];
+  matchers.forEach(matcher => unwrapAutoArrayParams(matcher, urlMatcherFactory));
+  return canMatchUrlMatcher(state, nestedQueryUrlMatcher(urlMatcher));
+};
@@ -3,10 +3,13 @@ import { ng as angular } from "../angular";
 import {
     StateObject, pick, forEach, tail, extend,
     isArray, isInjectable, isDefined, isString, services, trace,
-    ViewConfig, ViewService, ViewConfigFactory, PathNode, ResolveContext, Resolvable, IInjectable
+    ViewConfig, ViewService, ViewConfigFactory, PathNode, ResolveContext, Resolvable, IInjectable, ActiveUIView,
+    TypedMap, isFunction, kebobString
 } from "@uirouter/core";
 import { Ng1ViewDeclaration } from "../interface";
+import { Ng1ActiveUIView } from "../directives/viewDirective";
 import { TemplateFactory } from "../templateFactory";
+import { settleNative } from "../nativePromises";
 import IInjectorService = angular.auto.IInjectorService;
 
 export function getNg1ViewConfigFactory(): ViewConfigFactory {
@@ -35,9 +38,10 @@ export function ng1ViewsBuilder(state: StateObject) {
 
   let tplKeys = ['templateProvider', 'templateUrl', 'template', 'notify', 'async'],
       ctrlKeys = ['controller', 'controllerProvider', 'controllerAs', 'resolveAs'],
-      compKeys = ['component', 'bindings', 'componentProvider'],
+      compKeys = ['component', 'bindings', 'bindingMode', 'componentProvider'],
+      fallbackKeys = ['errorTemplate', 'errorComponent', 'loadingTemplate', 'loadingComponent'],
       nonCompKeys = tplKeys.concat(ctrlKeys),
-      allViewKeys = compKeys.concat(nonCompKeys);
+      allViewKeys = compKeys.concat(nonCompKeys).concat(fallbackKeys);
 
   // Do not allow a state to have both state-level props and also a `views: {}` property.
   // A state without a `views: {}` property can declare properties for the `$default` view as properties of the state.
@@ -67,6 +71,7 @@ export function ng1ViewsBuilder(state: StateObject) {
     }
 
     config.resolveAs = config.resolveAs || '$resolve';
+    config.sticky = isDefined(config.sticky) ? config.sticky : state['sticky'];
     config.$type = "ng1";
     config.$context = state;
     config.$name = name;
@@ -80,6 +85,13 @@ export function ng1ViewsBuilder(state: StateObject) {
   return views;
 }
 
+/** @hidden Checks if a ViewConfig targets a ui-view (amongst the ui-views registered with the $view service) */
+export function targetsUIView(config: ViewConfig, uiView: ActiveUIView): boolean {
+  let uiViews = (<ViewService> services.$injector.get('$view'))._pluginapi._registeredUIViews();
+  let uiViewsByFqn: TypedMap<ActiveUIView> = uiViews.reduce((acc, _uiView) => (acc[_uiView.fqn] = _uiView, acc), {});
+  return ViewService.matches(uiViewsByFqn, uiView)(config);
+}
+
 let id = 0;
 export class Ng1ViewConfig implements ViewConfig {
   $id = id++;
@@ -88,11 +100,16 @@ export class Ng1ViewConfig implements ViewConfig {
   template: string;
   component: string;
   locals: any; // TODO: delete me
+  /** The error, if the view failed to load and has an error fallback (see [[Ng1ViewDeclaration.errorTemplate]]) */
+  error: any;
 
   constructor(public path: PathNode[], public viewDecl: Ng1ViewDeclaration, public factory: TemplateFactory) { }
 
   load() {
     let $q = services.$q;
+    // Already loaded, i.e., by the $statePreload service
+    if (this.loaded) return $q.when(this);
+
     let context = new ResolveContext(this.path);
     let params = this.path.reduce((acc, node) => extend(acc, node.paramValues), {});
 
@@ -101,16 +118,71 @@ export class Ng1ViewConfig implements ViewConfig {
       controller: $q.when(this.getController(context))
     };
 
+    const loadFailed = (error): any => {
+      // Without an error fallback, the error fails the transition
+      if (!this.hasErrorFallback()) return $q.reject(error);
+      trace.traceViewServiceEvent("Failed to load", this);
+      this.error = error;
+      return this;
+    };
+
     return $q.all(promises).then((results) => {
       trace.traceViewServiceEvent("Loaded", this);
+      this.loaded = true;
       this.controller = results.controller;
       extend(this, results.template); // Either { template: "tpl" } or { component: "cmpName" }
       return this;
-    });
+    }, loadFailed);
+  }
+
+  /**
+   * Checks if the view has an error fallback.
+   *
+   * A view has an error fallback if its declaration has an `errorTemplate` or `errorComponent`,
+   * or if a `ui-view` (currently in the DOM) that the view targets has an `error-template` attribute.
+   */
+  hasErrorFallback(): boolean {
+    if (isDefined(this.viewDecl.errorTemplate) || isDefined(this.viewDecl.errorComponent)) return true;
+
+    let uiViews = (<ViewService> services.$injector.get('$view'))._pluginapi._registeredUIViews();
+    return uiViews
+        .filter((uiView: Ng1ActiveUIView) => isDefined(uiView.errorTemplate))
+        .filter(uiView => targetsUIView(this, uiView))
+        .length > 0;
+  }
+
+  /**
+   * Gets the template to render when the view failed to load.
+   *
+   * @param uiView the `ui-view` the view is rendered into, which may have an `error-template` attribute
+   */
+  getErrorTemplate(uiView: Ng1ActiveUIView): string {
+    let { errorTemplate, errorComponent } = this.viewDecl;
+    if (isDefined(errorTemplate)) return isFunction(errorTemplate) ? (<Function> errorTemplate)(this.error) : <string> errorTemplate;
+    if (isDefined(errorComponent)) {
+      let kebobName = kebobString(errorComponent);
+      return `<${kebobName} error='$error'></${kebobName}>`;
+    }
+    return uiView.errorTemplate;
+  }
+
+  /**
+   * Gets the placeholder template to render while the view is loading.
+   *
+   * @param uiView the `ui-view` the view will be rendered into, which may have a `loading-template` attribute
+   */
+  getLoadingTemplate(uiView: Ng1ActiveUIView): string {
+    let { loadingTemplate, loadingComponent } = this.viewDecl;
+    if (isDefined(loadingTemplate)) return loadingTemplate;
+    if (isDefined(loadingComponent)) {
+      let kebobName = kebobString(loadingComponent);
+      return `<${kebobName}></${kebobName}>`;
+    }
+    return uiView.loadingTemplate;
   }
 
   getTemplate = (uiView, context: ResolveContext) =>
-    this.component ? this.factory.makeComponentTemplate(uiView, context, this.component, this.viewDecl.bindings) : this.template;
+    this.component ? this.factory.makeComponentTemplate(uiView, context, this.component, this.viewDecl.bindings, this.viewDecl.bindingMode) : this.template;
 
   /**
    * Gets the controller for a view configuration.
@@ -122,7 +194,7 @@ export class Ng1ViewConfig implements ViewConfig {
     if (!isInjectable(provider)) return this.viewDecl.controller;
     let deps = services.$injector.annotate(provider);
     let providerFn = isArray(provider) ? tail(<any> provider) : provider;
-    let resolvable = new Resolvable("", <any> providerFn, deps);
+    let resolvable = new Resolvable("", settleNative(<any> providerFn), deps);
     return resolvable.get(context);
   }
 }
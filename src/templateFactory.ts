@@ -3,10 +3,19 @@
 import { ng as angular } from "./angular";
 import { IAugmentedJQuery } from "angular";
 import {
-  isArray, isDefined, isFunction, isObject, services, Obj, IInjectable, tail, kebobString, unnestR, ResolveContext,
-  Resolvable, RawParams
+  isArray, isDefined, isFunction, isObject, isString, services, Obj, IInjectable, tail, kebobString, unnestR, ResolveContext,
+  Resolvable, RawParams, forEach, TransitionService
 } from "@uirouter/core";
-import { Ng1ViewDeclaration, TemplateFactoryProvider } from "./interface";
+import { Ng1ViewDeclaration, TemplateFactoryProvider, TemplateBundle } from "./interface";
+import { settleNative } from "./nativePromises";
+
+/** @hidden A registered [[TemplateBundle]] and the (memoized) promise for loading it */
+interface BundleRegistration {
+  bundle: TemplateBundle;
+  promise: Promise<any>;
+  /** The bundle failed to load (it is loaded again when the next transition starts) */
+  failed: boolean;
+}
 
 /**
  * Service which manages loading of templates from a ViewConfig.
@@ -16,11 +25,19 @@ export class TemplateFactory implements TemplateFactoryProvider {
   /** @hidden */ private $templateRequest;
   /** @hidden */ private $templateCache;
   /** @hidden */ private $http;
+  /** @hidden */ private _bundles: BundleRegistration[] = [];
 
   /** @hidden */ $get = ['$http', '$templateCache', '$injector', ($http, $templateCache, $injector) => {
     this.$templateRequest = $injector.has && $injector.has('$templateRequest') && $injector.get('$templateRequest');
     this.$http = $http;
     this.$templateCache = $templateCache;
+
+    let $transitions: TransitionService = $injector.has && $injector.has('$transitions') && $injector.get('$transitions');
+    if ($transitions) {
+      // Retry the failed bundles when the next transition starts (before the bundles are prefetched)
+      $transitions.onStart({}, () => this._bundles.filter(reg => reg.failed).forEach(reg => reg.promise = null));
+      this._bundles.forEach(reg => this._registerPrefetchHook($transitions, reg));
+    }
     return this;
   }];
 
@@ -29,6 +46,62 @@ export class TemplateFactory implements TemplateFactoryProvider {
     this._useHttp = value;
   };
 
+  /** @hidden */
+  bundle(bundle: TemplateBundle) {
+    if (!isString(bundle.url) && !isDefined(bundle.loader)) {
+      throw new Error("A template bundle must have either a 'url' or a 'loader'");
+    }
+    this._bundles.push({ bundle, promise: null, failed: false });
+    return this;
+  };
+
+  /**
+   * Loads a template bundle, putting each of its templates into the `$templateCache`.
+   *
+   * Each bundle is fetched only once.
+   * If the bundle fails to load, the promise resolves anyway.
+   * The templates are then fetched individually by [[fromUrl]].
+   * The failed bundle is not requested again until the next transition starts.
+   *
+   * @param bundle The [[TemplateBundle]] (previously registered using `$templateFactoryProvider.bundle()`) to load.
+   * @return {Promise} A promise which is resolved once the bundle's templates are in the `$templateCache`
+   */
+  loadBundle(bundle: TemplateBundle): Promise<any> {
+    let reg = this._bundles.filter(x => x.bundle === bundle)[0];
+    if (!reg) throw new Error(`Template bundle '${bundle.url || bundle.loader}' was not registered`);
+    if (reg.promise) return reg.promise;
+
+    let manifest = isString(bundle.url) ?
+        this.$http.get(bundle.url, { headers: { Accept: 'application/json' } }).then(response => response.data) :
+        services.$injector.invoke(bundle.loader);
+
+    const putTemplates = (templates: { [url: string]: string }) =>
+        forEach(templates, (html: string, url: string) => this.$templateCache.put(url, html));
+
+    // Fall back to fetching the templates individually
+    const loadFailed = () => { reg.failed = true; };
+
+    reg.failed = false;
+    return reg.promise = services.$q.when(manifest).then(putTemplates).catch(loadFailed);
+  };
+
+  /** @hidden Prefetches the bundle when the bundle's state subtree is entered */
+  private _registerPrefetchHook($transitions: TransitionService, reg: BundleRegistration) {
+    if (!reg.bundle.state) return;
+    $transitions.onStart({ entering: reg.bundle.state }, () => this.loadBundle(reg.bundle));
+  }
+
+  /** @hidden Finds the bundle which provides the template for a url that is not yet cached */
+  private _bundleFor(url: string): TemplateBundle {
+    if (!isString(url) || this.$templateCache.get(url)) return undefined;
+
+    const matches = (bundle: TemplateBundle) =>
+        isString(bundle.templates) ? url.indexOf(<string> bundle.templates) === 0 :
+        bundle.templates instanceof RegExp ? bundle.templates.test(url) : false;
+
+    return this._bundles.map(reg => reg.bundle).filter(matches)[0];
+  }
+
   /**
    * Creates a template from a configuration object.
    *
@@ -74,6 +147,8 @@ export class TemplateFactory implements TemplateFactoryProvider {
   /**
    * Loads a template from the a URL via `$http` and `$templateCache`.
    *
+   * If the url belongs to a registered [[TemplateBundle]], the bundle is loaded first.
+   *
    * @param {string|Function} url url of the template to load, or a function
    * that returns a url.
    * @param {Object} params Parameters to pass to the url function.
@@ -84,6 +159,16 @@ export class TemplateFactory implements TemplateFactoryProvider {
     if (isFunction(url)) url = (<any> url)(params);
     if (url == null) return null;
 
+    let bundle = this._bundleFor(<string> url);
+    if (bundle) {
+      return this.loadBundle(bundle).then(() => this._fetchUrl(url));
+    }
+
+    return this._fetchUrl(url);
+  };
+
+  /** @hidden */
+  private _fetchUrl(url: any) {
     if (this._useHttp) {
       return this.$http.get(url, { cache: this.$templateCache, headers: { Accept: 'text/html' } })
           .then(function (response) {
@@ -105,7 +190,7 @@ export class TemplateFactory implements TemplateFactoryProvider {
   fromProvider(provider: IInjectable, params: any, context: ResolveContext) {
     let deps = services.$injector.annotate(provider);
     let providerFn = isArray(provider) ? tail(<any[]> provider) : provider;
-    let resolvable = new Resolvable("", <Function> providerFn, deps);
+    let resolvable = new Resolvable("", settleNative(<Function> providerFn), deps);
     return resolvable.get(context);
   };
 
@@ -119,7 +204,7 @@ export class TemplateFactory implements TemplateFactoryProvider {
   fromComponentProvider(provider: IInjectable, params: any, context: ResolveContext) {
     let deps = services.$injector.annotate(provider);
     let providerFn = isArray(provider) ? tail(<any[]> provider) : provider;
-    let resolvable = new Resolvable("", <Function> providerFn, deps);
+    let resolvable = new Resolvable("", settleNative(<Function> providerFn), deps);
     return resolvable.get(context);
   };
 
@@ -135,13 +220,14 @@ export class TemplateFactory implements TemplateFactoryProvider {
    * @param context The ResolveContext (for binding outputs to callbacks returned from resolves)
    * @param component {string} Component's name in camel case.
    * @param bindings An object defining the component's bindings: {foo: '<'}
+   * @param bindingMode `live` to bind the inputs using watched bindings, instead of binding them once (see [[Ng1ViewDeclaration.bindingMode]])
    * @return {string} The template as a string: "<component-name input1='::$resolve.foo'></component-name>".
    */
-  makeComponentTemplate(uiView: IAugmentedJQuery, context: ResolveContext, component: string, bindings?: any) {
+  makeComponentTemplate(uiView: IAugmentedJQuery, context: ResolveContext, component: string, bindings?: any, bindingMode?: string) {
     bindings = bindings || {};
 
     // Bind once prefix
-    const prefix = angular.version.minor >= 3 ? "::" : "";
+    const prefix = angular.version.minor >= 3 && bindingMode !== 'live' ? "::" : "";
     // Convert to kebob name. Add x- prefix if the string starts with `x-` or `data-`
     const kebob = (camelCase: string) => {
       const kebobed = kebobString(camelCase);
@@ -186,8 +272,8 @@ export class TemplateFactory implements TemplateFactoryProvider {
   };
 }
 
-// Gets all the directive(s)' inputs ('@', '=', and '<') and outputs ('&')
-function getComponentBindings(name: string) {
+/** @hidden Gets all the directive(s)' inputs ('@', '=', and '<') and outputs ('&') */
+export function getComponentBindings(name: string): BindingTuple[] {
   let cmpDefs = <any[]> services.$injector.get(name + "Directive"); // could be multiple
   if (!cmpDefs || !cmpDefs.length) throw new Error(`Unable to find component named '${name}'`);
   return cmpDefs.map(getBindings).reduce(unnestR, []);
@@ -200,9 +286,12 @@ const getBindings = (def: any) => {
   return scopeBindings(def.scope);
 };
 
-interface BindingTuple {
+/** @hidden */
+export interface BindingTuple {
   name: string;
   type: string;
+  // The property of the controller, i.e., `input` for { input: "=foo" }
+  prop: string;
 }
 
 // for ng 1.2 style, process the scope: { input: "=foo" }
@@ -212,6 +301,6 @@ const scopeBindings = (bindingsObj: Obj) => Object.keys(bindingsObj || {})
     .map(key => [key, /^([=<@&])[?]?(.*)/.exec(bindingsObj[key])])
     // skip malformed values
     .filter(tuple => isDefined(tuple) && isArray(tuple[1]))
-    // { name: ('foo' || 'input'), type: '=' }
-    .map(tuple => ({ name: tuple[1][2] || tuple[0], type: tuple[1][1] } as BindingTuple));
+    // { name: ('foo' || 'input'), type: '=', prop: 'input' }
+    .map(tuple => ({ name: tuple[1][2] || tuple[0], type: tuple[1][1], prop: tuple[0] } as BindingTuple));
 
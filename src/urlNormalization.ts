@@ -0,0 +1,201 @@
+/** @module url */ /** */
+import {
+  UIRouter, UrlParts, UrlRule, StateRule, Param, RawParams, BaseUrlRule, UrlMatcher, equals, extend, identity, isArray, uniqR
+} from "@uirouter/core";
+import { unguardedUrlMatcher } from "./statebuilders/guards";
+
+/**
+ * A step of the url normalization pipeline
+ *
+ * A function which receives the (decoded) parts of the url and returns the normalized parts.
+ * It must not modify the url parts it receives.
+ */
+export type UrlNormalizerFn = (url: UrlParts, router: UIRouter) => UrlParts;
+
+/**
+ * The built in steps of the url normalization pipeline
+ *
+ * See [[UrlRouterProvider.normalize]]
+ */
+export interface UrlNormalizationOptions {
+  /**
+   * The trailing slash policy of the path
+   *
+   * - `strip`: Removes a trailing slash, i.e., `/foo/` → `/foo` (the root path `/` is not changed)
+   * - `add`: Adds a trailing slash, i.e., `/foo` → `/foo/`.
+   *   Note: the urls of the states must match the trailing slash (or use `$urlMatcherFactoryProvider.strictMode(false)`).
+   */
+  trailingSlash?: "strip" | "add";
+  /**
+   * Converts the static segments of the path to lowercase, i.e., `/Products/Shoes` → `/products/shoes`
+   *
+   * The parameter values of the matching state keep their case, i.e., `/Products/AbC-12` → `/products/AbC-12` (for `/products/:id`).
+   * Note: a segment which mixes static text and a parameter value (such as `/item-:id`) is lowercased,
+   * and when no state matches, the whole path is lowercased.
+   */
+  lowercase?: boolean;
+  /** Removes query parameters with an empty value, i.e., `?q=&page=2` → `?page=2` */
+  stripEmptyParams?: boolean;
+  /**
+   * Removes the query parameters of the matching state which have their default value.
+   *
+   * Tip: `$urlMatcherFactoryProvider.defaultSquashPolicy(true)` omits default values from the urls which the router builds,
+   * so no extra replace is needed after a `$state.go()`.
+   */
+  stripDefaultParams?: boolean;
+  /** Sorts the query keys, and removes duplicate values of a key, i.e., `?b=1&a=2&a=2` → `?a=2&b=1` */
+  sortQuery?: boolean;
+}
+
+/** @hidden */
+const withSearch = (url: UrlParts, search: { [key: string]: any }): UrlParts => extend({}, url, { search });
+
+/** @hidden Copies the query parameters of a url, except the keys which match the predicate */
+function omitKeys(search: { [key: string]: any }, predicate: (key: string, value: any) => boolean) {
+  return Object.keys(search).reduce((acc, key) => predicate(key, search[key]) ? acc : extend(acc, { [key]: search[key] }), {});
+}
+
+/** @hidden An array which has a single item is unwrapped */
+const unwrapSingle = (values: any[]) => values.length === 1 ? values[0] : values;
+
+/** @hidden */
+const isEmpty = (val: any) => val == null || val === '' || (isArray(val) && !val.length);
+
+/** @hidden */
+function trailingSlash(policy: string): UrlNormalizerFn {
+  return (url: UrlParts) => {
+    let path = url.path || '/';
+    if (policy === 'strip' && path !== '/') path = path.replace(/\/+$/, '') || '/';
+    if (policy === 'add' && path.slice(-1) !== '/') path += '/';
+    return extend({}, url, { path });
+  };
+}
+
+/** @hidden Matches the url using the UrlMatcher of a state url rule, without its `canMatch` guards */
+const execStateRule = (rule: StateRule, url: UrlParts): RawParams =>
+    unguardedUrlMatcher(rule.urlMatcher).exec(url.path, url.search, url.hash);
+
+/**
+ * @hidden
+ * Finds the state url rule which matches the url, and its parameter values.
+ *
+ * The url is matched directly against the UrlMatchers of the states (the same way [[UrlRouter.match]] picks a state rule),
+ * so the normalization steps do not invoke the raw url rules, nor the `canMatch` guards of the states.
+ */
+function matchStateRule(url: UrlParts, router: UIRouter): { rule: StateRule, match: RawParams } {
+  let rules = <StateRule[]> router.urlRouter.rules().filter(rule => rule.type === 'STATE');
+  const sortsEqual = (a: StateRule, b: StateRule) =>
+      (a.priority || 0) === (b.priority || 0) && UrlMatcher.compare(a.urlMatcher, b.urlMatcher) === 0;
+
+  let best: { rule: StateRule, match: RawParams, weight: number };
+  for (let i = 0; i < rules.length; i++) {
+    if (best && !sortsEqual(rules[i], best.rule)) break;
+    let match = execStateRule(rules[i], url);
+    let weight = match && rules[i].matchPriority(match);
+    if (match && (!best || weight > best.weight)) best = { rule: rules[i], match, weight };
+  }
+  return best;
+}
+
+/**
+ * @hidden
+ * Converts the static segments of the path to lowercase, and keeps the case of the parameter values.
+ *
+ * The lowercased path is matched to the urls of the states.
+ * When a state matches it, each segment whose original case changes the parameter values (of the state) is restored.
+ */
+const lowercasePath: UrlNormalizerFn = (url: UrlParts, router: UIRouter) => {
+  let lowercased = extend({}, url, { path: url.path.toLowerCase() });
+  let best = matchStateRule(lowercased, router);
+  if (!best) return lowercased;
+
+  let segments = lowercased.path.split('/');
+  url.path.split('/').forEach((segment, idx) => {
+    if (segment === segments[idx]) return;
+    let restored = segments.slice(0, idx).concat(segment, segments.slice(idx + 1));
+    let match = execStateRule(best.rule, extend({}, url, { path: restored.join('/') }));
+    if (match && !equals(match, best.match)) segments = restored;
+  });
+  return extend({}, url, { path: segments.join('/') });
+};
+
+/** @hidden */
+const stripEmptyParams: UrlNormalizerFn = (url: UrlParts) => {
+  let search = omitKeys(url.search, (key, val) => isEmpty(isArray(val) ? val.filter(item => !isEmpty(item)) : val));
+  Object.keys(search).filter(key => isArray(search[key]))
+      .forEach(key => search[key] = unwrapSingle(search[key].filter(item => !isEmpty(item))));
+  return withSearch(url, search);
+};
+
+/** @hidden */
+const stripDefaultParams: UrlNormalizerFn = (url: UrlParts, router: UIRouter) => {
+  let best = matchStateRule(url, router);
+  if (!best) return url;
+
+  let defaults: string[] = best.rule.urlMatcher.parameters()
+      .filter((param: Param) => param.isSearch() && param.isDefaultValue(best.match[param.id]))
+      .map((param: Param) => param.id);
+
+  // Nested query parameters use bracket keys, i.e., `filter[0][name]`
+  const isDefault = (key: string) => defaults.some(id => key === id || key.indexOf(id + '[') === 0);
+  return withSearch(url, omitKeys(url.search, isDefault));
+};
+
+/** @hidden */
+const sortQuery: UrlNormalizerFn = (url: UrlParts) => {
+  let search = Object.keys(url.search).sort().reduce((acc, key) => {
+    let val = url.search[key];
+    return extend(acc, { [key]: isArray(val) ? unwrapSingle(val.reduce(uniqR, [])) : val });
+  }, {});
+  return withSearch(url, search);
+};
+
+/** @hidden Builds the pipeline steps for the [[UrlNormalizationOptions]] */
+export function urlNormalizers(options: UrlNormalizationOptions): UrlNormalizerFn[] {
+  return [
+    options.trailingSlash && trailingSlash(options.trailingSlash),
+    options.lowercase && lowercasePath,
+    options.stripEmptyParams && stripEmptyParams,
+    options.stripDefaultParams && stripDefaultParams,
+    options.sortQuery && sortQuery,
+  ].filter(identity);
+}
+
+/** @hidden Builds a url string from the (decoded) url parts */
+export function formatUrlParts(url: UrlParts): string {
+  let path = url.path.split('/').map(encodeURIComponent).join('/');
+  let pairs = Object.keys(url.search).map(key => {
+    let values = isArray(url.search[key]) ? url.search[key] : [url.search[key]];
+    return values.map(val => val === true ? encodeURIComponent(key) : `${encodeURIComponent(key)}=${encodeURIComponent(val)}`);
+  }).reduce((acc, keyPairs) => acc.concat(keyPairs), []);
+
+  return path + (pairs.length ? '?' + pairs.join('&') : '') + (url.hash ? '#' + url.hash : '');
+}
+
+/**
+ * @hidden
+ * Creates a [[UrlRule]] which runs the url normalization pipeline.
+ *
+ * The rule matches a non-canonical url, and replaces it with the canonical url.
+ * It has the highest priority, so it is checked before any other rule.
+ */
+export function normalizeUrlRule(router: UIRouter, normalizers: UrlNormalizerFn[]): UrlRule {
+  // A custom step may match the url using the UrlRouter, whose rules include this rule
+  let normalizing = false;
+
+  const match = (url: UrlParts) => {
+    if (normalizing) return undefined;
+    normalizing = true;
+    try {
+      let parts = extend({ path: '', search: {}, hash: '' }, url);
+      let canonical = formatUrlParts(normalizers.reduce((acc, normalizer) => normalizer(acc, router), parts));
+      return canonical !== formatUrlParts(parts) ? canonical : undefined;
+    } finally {
+      normalizing = false;
+    }
+  };
+
+  let rule = new BaseUrlRule(match, identity);
+  rule.priority = Number.MAX_VALUE;
+  return rule;
+}
@@ -4,6 +4,8 @@ import {
     IInjectable
 } from "@uirouter/core";
 import { services, isString, isFunction, isArray, identity } from "@uirouter/core";
+import { UrlNormalizationOptions, UrlNormalizerFn, urlNormalizers, normalizeUrlRule } from "./urlNormalization";
+import { UrlRuleWithOrigin, UrlRuleSource, addUrlRuleDescriptions } from "./urlRuleDescription";
 
 export interface RawNg1RuleFunction {
   ($injector: $InjectorLike, $location: LocationServices): string|void;
@@ -26,11 +28,19 @@ export interface RawNg1RuleFunction {
 export class UrlRouterProvider {
   /** @hidden */ _router: UIRouter;
   /** @hidden */ _urlRouter: UrlRouter;
+  /** @hidden */ _normalizers: UrlNormalizerFn[] = [];
 
   /** @hidden */
   constructor(router: UIRouter) {
     this._router = router;
     this._urlRouter = router.urlRouter;
+    addUrlRuleDescriptions(router);
+  }
+
+  /** @hidden Records the source (and target) of a rule, for [[UrlRouter.describe]] */
+  private static origin<T>(rule: T, source: UrlRuleSource, target?: string): T {
+    (<UrlRuleWithOrigin> <any> rule)._origin = { source, target: isString(target) ? target : null };
+    return rule;
   }
 
   /** @hidden */
@@ -79,7 +89,55 @@ export class UrlRouterProvider {
         ruleFn(services.$injector, this._router.locationService);
 
     let rule = new BaseUrlRule(match, identity);
-    this._urlRouter.rule(rule);
+    this._urlRouter.rule(UrlRouterProvider.origin(rule, 'rule'));
+    return this;
+  };
+
+  /**
+   * Adds steps to the url normalization pipeline
+   *
+   * The normalization pipeline computes the canonical url of each incoming url, before any other rule is checked.
+   * When an incoming url is not canonical, it is replaced (not pushed) by the canonical url.
+   * This way, the browser history (and your analytics) only ever have the canonical url.
+   *
+   * Pass [[UrlNormalizationOptions]] to add the built in steps, or a function to add a custom step.
+   * The steps run in the order they were added.
+   *
+   * #### Example:
+   * ```js
+   * var app = angular.module('app', ['ui.router.router']);
+   *
+   * app.config(function ($urlRouterProvider) {
+   *   $urlRouterProvider.normalize({
+   *     trailingSlash: 'strip',
+   *     lowercase: true,
+   *     stripEmptyParams: true,
+   *     stripDefaultParams: true,
+   *     sortQuery: true,
+   *   });
+   *
+   *   // A custom step, which removes tracking parameters
+   *   $urlRouterProvider.normalize(function (url) {
+   *     var search = angular.copy(url.search);
+   *     delete search.utm_source;
+   *     return angular.extend({}, url, { search: search });
+   *   });
+   * });
+   * ```
+   *
+   * Now, `/Products/?sort=&q=shoes&page=1` is replaced by `/products?q=shoes` (when the default value of `page` is `1`).
+   *
+   * @param normalizer The built in steps to add, or a function which normalizes the parts of the url (path, search and hash).
+   *
+   * @return [[UrlRouterProvider]] (`this`)
+   */
+  normalize(normalizer: UrlNormalizationOptions | UrlNormalizerFn): UrlRouterProvider {
+    if (!this._normalizers.length) {
+      this._urlRouter.rule(UrlRouterProvider.origin(normalizeUrlRule(this._router, this._normalizers), 'normalize'));
+    }
+
+    let normalizers = isFunction(normalizer) ? [normalizer] : urlNormalizers(normalizer);
+    this._normalizers.push(...normalizers);
     return this;
   };
 
@@ -120,6 +178,7 @@ export class UrlRouterProvider {
       throw new Error("'rule' must be a string or function");
     }
 
+    UrlRouterProvider.origin(urlRouter['_otherwiseFn'], 'otherwise', <string> rule);
     return this;
   };
 
@@ -162,11 +221,12 @@ export class UrlRouterProvider {
    * Note: the handler may also invoke arbitrary code, such as `$state.go()`
    */
   when(what: (RegExp|UrlMatcher|string), handler: string|IInjectable) {
+    let target = isString(handler) ? handler : null;
     if (isArray(handler) || isFunction(handler)) {
       handler = UrlRouterProvider.injectableHandler(this._router, handler);
     }
 
-    this._urlRouter.when(what, handler as any);
+    UrlRouterProvider.origin(this._urlRouter.when(what, handler as any), 'when', target);
     return this;
   };
 
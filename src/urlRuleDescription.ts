@@ -0,0 +1,207 @@
+/** @module url */ /** */
+import {
+  UIRouter, UrlRule, UrlParts, MatchResult, UrlMatcher, StateRule, RegExpRule, MatcherUrlRule, extend, isArray
+} from "@uirouter/core";
+import { LocalizedUrlMatcher } from "./localizedUrl";
+
+declare module "@uirouter/core/lib/url/urlRouter" {
+  interface UrlRouter {
+    /**
+     * Describes the effective routing table
+     *
+     * Returns a description of each registered url rule, in priority order (the order in which the rules are checked).
+     * The `otherwise` rule (if any) is last.
+     *
+     * #### Example:
+     * ```js
+     * console.table($urlRouter.describe().map(function (rule) {
+     *   return { source: rule.source, pattern: rule.pattern, target: rule.target };
+     * }));
+     * ```
+     */
+    describe(): UrlRuleDescription[];
+
+    /**
+     * Dry-runs the url rules for a url
+     *
+     * Reports which rule would handle the url (without handling it), and why.
+     * The report is a [[MatchResult]] of the winning rule, and also lists every rule which matches the url.
+     *
+     * The rules which match using a function (i.e., [[UrlRouterProvider.rule]]) are not evaluated,
+     * because the function may have side effects. They are listed as the `skipped` rules of the report.
+     *
+     * #### Example:
+     * ```js
+     * var report = $urlRouter.dryRun('/products/42?tab=reviews');
+     * console.log(report.reason); // "state 'products.detail' (/products/{id}?tab) is the only rule which matches the url"
+     * ```
+     *
+     * @param url the url (path, query string and hash) to match
+     */
+    dryRun(url: string): UrlMatchReport;
+  }
+}
+
+/**
+ * Where a url rule comes from
+ *
+ * - `state`: the url of a state
+ * - `when`: [[UrlRouterProvider.when]] (or [[UrlRulesApi.when]])
+ * - `rule`: [[UrlRouterProvider.rule]] (or a raw [[UrlRule]])
+ * - `otherwise`: [[UrlRouterProvider.otherwise]]
+ * - `normalize`: the url normalization pipeline ([[UrlRouterProvider.normalize]])
+ */
+export type UrlRuleSource = "state" | "when" | "rule" | "otherwise" | "normalize";
+
+/** A description of a registered url rule (see [[UrlRouter.describe]]) */
+export interface UrlRuleDescription {
+  /** The rule */
+  rule: UrlRule;
+  /** Where the rule comes from */
+  source: UrlRuleSource;
+  /** The pattern (of a url or a RegExp) which the rule matches, or `null` when the rule matches using a function */
+  pattern: string;
+  /** The name of the target state, or the redirect url. `null` when the rule is handled by a function */
+  target: string;
+  /** The explicit priority of the rule */
+  priority: number;
+}
+
+/** A matching rule (see [[UrlMatchReport]]) */
+export interface UrlRuleCandidate {
+  /** The description of the rule */
+  description: UrlRuleDescription;
+  /** The value which the rule matched (i.e., the parameter values) */
+  match: any;
+  /** The match weight of the rule (a tie breaker between rules which sort the same) */
+  weight: number;
+}
+
+/** The report of a url rule dry-run (see [[UrlRouter.dryRun]]) */
+export interface UrlMatchReport extends MatchResult {
+  /** The parts of the url */
+  url: UrlParts;
+  /** The description of the winning rule, or `null` when no rule matches */
+  description: UrlRuleDescription;
+  /** Every (evaluated) rule which matches the url, in priority order */
+  candidates: UrlRuleCandidate[];
+  /** The rules which match using a function, which are not evaluated (so they may also match the url) */
+  skipped: UrlRuleDescription[];
+  /** Why the rule wins */
+  reason: string;
+}
+
+/** @hidden A rule which knows its source (and target), because it was registered using the [[UrlRouterProvider]] */
+export interface UrlRuleWithOrigin extends UrlRule {
+  _origin?: { source: UrlRuleSource, target?: string };
+}
+
+/** @hidden Parses a url string into its (decoded) parts */
+export function parseUrlParts(url: string): UrlParts {
+  let [, path, query, hash] = /^([^?#]*)(?:\?([^#]*))?(?:#(.*))?$/.exec(url);
+  const decode = (str: string) => decodeURIComponent(str.replace(/\+/g, '%20'));
+
+  let search = (query || '').split('&').filter(pair => !!pair).reduce((acc, pair) => {
+    let [key, val] = pair.split(/=(.*)/);
+    let value = val === undefined ? true : decode(val);
+    key = decode(key);
+    acc[key] = acc.hasOwnProperty(key) ? (isArray(acc[key]) ? acc[key] : [acc[key]]).concat(value) : value;
+    return acc;
+  }, {});
+
+  return { path: decode(path), search, hash: hash || '' };
+}
+
+/** @hidden The full pattern of a UrlMatcher (including the patterns of the parent UrlMatchers) */
+function urlMatcherPattern(urlMatcher: UrlMatcher): string {
+  const fullPattern = (matcher: UrlMatcher) => matcher['_cache'].path.map((m: UrlMatcher) => m.pattern).join('');
+  let localeMatchers = (<LocalizedUrlMatcher> urlMatcher)._localeMatchers;
+  if (!localeMatchers) return fullPattern(urlMatcher);
+  return Object.keys(localeMatchers).map(locale => `${locale}: ${fullPattern(localeMatchers[locale])}`).join(', ');
+}
+
+/** @hidden Describes a url rule */
+function describeRule(rule: UrlRuleWithOrigin): UrlRuleDescription {
+  let description: UrlRuleDescription = { rule, source: "rule", pattern: null, target: null, priority: rule.priority || 0 };
+
+  switch (rule.type) {
+    case "STATE":
+      let state = (<StateRule> rule).state;
+      return extend(description, { source: "state", pattern: urlMatcherPattern(state.url), target: state.name });
+    case "URLMATCHER":
+      extend(description, { source: "when", pattern: urlMatcherPattern((<MatcherUrlRule> rule).urlMatcher) });
+      break;
+    case "REGEXP":
+      extend(description, { source: "when", pattern: (<RegExpRule> rule).regexp.toString() });
+      break;
+    default:
+      // A raw rule matches using a function, so it has no pattern
+      break;
+  }
+
+  return extend(description, rule._origin);
+}
+
+/** @hidden A short label of a rule, for the reason of a [[UrlMatchReport]] */
+function ruleLabel(description: UrlRuleDescription): string {
+  let name = description.source === 'state' ? `state '${description.target}'` : description.source;
+  let detail = description.source === 'state' ? description.pattern : (description.pattern || description.target);
+  return detail ? `${name} (${detail})` : name;
+}
+
+/** @hidden A raw rule (which matches using a function) is not evaluated by a dry-run, except the otherwise rule */
+const isEvaluated = (description: UrlRuleDescription) => description.rule.type !== 'RAW' || description.source === 'otherwise';
+
+/** @hidden Explains why the rule wins (see UrlRouter.dryRun) */
+function matchReason(sortFn: (a: UrlRule, b: UrlRule) => number, winner: UrlRuleCandidate, candidates: UrlRuleCandidate[]): string {
+  if (!winner) return "No rule matches the url";
+  let label = ruleLabel(winner.description);
+  if (winner.description.source === 'otherwise') return `No rule matches the url, so the ${label} rule handles it`;
+
+  let others = candidates.filter(candidate => candidate !== winner && candidate.description.source !== 'otherwise');
+  if (!others.length) return `${label} is the only rule which matches the url`;
+
+  let ties = others.filter(candidate => sortFn(candidate.description.rule, winner.description.rule) === 0);
+  if (ties.length) {
+    return `${label} has the highest match weight (${winner.weight}) of ${ties.length + 1} matching rules which sort the same ` +
+        `(${ties.map(tie => ruleLabel(tie.description)).join(', ')})`;
+  }
+
+  return `${label} sorts before the other matching rules (${others.map(other => ruleLabel(other.description)).join(', ')}), ` +
+      `by priority, type, url specificity and registration order`;
+}
+
+/**
+ * @hidden
+ * Adds `describe()` and the `dryRun(url)` to the [[UrlRouter]]
+ */
+export function addUrlRuleDescriptions(router: UIRouter) {
+  let urlRouter = router.urlRouter;
+
+  urlRouter.describe = function () {
+    let otherwise: UrlRule = urlRouter['_otherwiseFn'];
+    return urlRouter.rules().map(describeRule)
+        .concat(otherwise ? [extend(describeRule(otherwise), { source: "otherwise" })] : []);
+  };
+
+  urlRouter.dryRun = function (url: string): UrlMatchReport {
+    let parts = parseUrlParts(url), sortFn = urlRouter['_sortFn'];
+    let descriptions = urlRouter.describe();
+
+    let candidates: UrlRuleCandidate[] = descriptions.filter(isEvaluated).map(description => {
+      let value = description.rule.match(parts, router);
+      return value && { description, match: value, weight: description.rule.matchPriority(value) };
+    }).filter(candidate => !!candidate);
+
+    // Like UrlRouter.match(): the first matching rule, or a rule which sorts the same with a higher match weight
+    let winner = candidates.reduce((best, candidate) =>
+        !best || sortFn(candidate.description.rule, best.description.rule) === 0 && candidate.weight > best.weight ? candidate : best,
+        <UrlRuleCandidate> null);
+
+    let result: MatchResult = winner ? { match: winner.match, rule: winner.description.rule, weight: winner.weight } : <any> {};
+    return extend({ url: parts, description: winner ? winner.description : null, candidates }, result, {
+      skipped: descriptions.filter(description => !isEvaluated(description)),
+      reason: matchReason(sortFn, winner, candidates),
+    });
+  };
+}
@@ -0,0 +1,142 @@
+/** @module ng1 */ /** */
+import { ng as angular } from "./angular";
+import { ITimeoutService, IWindowService } from "angular";
+import { Transition, TransitionService, extend, find } from "@uirouter/core";
+
+/** Options for [[UIViewAccessibility.enable]] */
+export interface UIViewAccessibilityOptions {
+  /**
+   * A CSS selector for the element (inside the new view) which receives focus.
+   *
+   * Defaults to the first heading: `'h1, h2, h3, h4, h5, h6'`
+   */
+  focus?: string;
+
+  /**
+   * Announce the new page title through an ARIA live region.
+   *
+   * Defaults to `true`
+   */
+  announce?: boolean;
+
+  /**
+   * Builds the announcement for the new page.
+   *
+   * Receives the page title (`document.title`, or the text of the focused element when there is no title)
+   * and the [[Transition]].  Defaults to announcing the title as-is.
+   */
+  announcement?: (title: string, trans: Transition) => string;
+}
+
+/** @hidden Visually hides the live region, while keeping it available to screen readers */
+const visuallyHidden = 'position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; ' +
+    'overflow: hidden; clip: rect(0, 0, 0, 0); white-space: nowrap; border: 0;';
+
+/** @hidden Removes the elements which are nested inside another element of the list */
+const outermost = (elements: Element[]) =>
+    elements.filter(el => !find(elements, other => other !== el && other.contains(el)));
+
+/**
+ * Moves focus to the new content, and announces the new page, after a transition
+ *
+ * This opt-in service makes the route changes of a single page application accessible.
+ * It is used by the [[directives.uiView]] directive: after a transition, once the new views have been
+ * animated in, it:
+ *
+ * - moves focus to the first heading of the new content (or the element matching [[UIViewAccessibilityOptions.focus]]).
+ *   If the element is not focusable, it is given `tabindex="-1"`.
+ * - announces the new page title through an ARIA live region (`aria-live="polite"`).
+ *
+ * Nothing is focused or announced for the initial transition (when the page loads).
+ *
+ * #### Example:
+ * ```js
+ * app.config(function($uiViewAccessibilityProvider) {
+ *   $uiViewAccessibilityProvider.enable({
+ *     focus: '[data-page-focus], h1',
+ *     announcement: function(title) { return 'Navigated to ' + title; }
+ *   });
+ * });
+ * ```
+ */
+export class UIViewAccessibility {
+  /** @hidden */ private _options: UIViewAccessibilityOptions = null;
+  /** @hidden The latest successful transition, until its views have been handled */
+  private _trans: Transition = null;
+  /** @hidden The elements of the views which entered for the transition */
+  private _entered: Element[] = [];
+  /** @hidden */ private _liveRegion: Element;
+  /** @hidden */ private _$timeout: ITimeoutService;
+  /** @hidden */ private _$window: IWindowService;
+
+  /** @hidden */ $get = ['$transitions', '$timeout', '$window',
+      ($transitions: TransitionService, $timeout: ITimeoutService, $window: IWindowService) => {
+    this._$timeout = $timeout;
+    this._$window = $window;
+    $transitions.onSuccess({}, (trans: Transition) => {
+      // Do not move focus (or announce) when the page is loaded
+      this._trans = trans.from().name === '' ? null : trans;
+      this._entered = [];
+    });
+    return this;
+  }];
+
+  /**
+   * Enables focus management and route change announcements
+   *
+   * @param options the [[UIViewAccessibilityOptions]]
+   */
+  enable(options?: UIViewAccessibilityOptions) {
+    this._options = extend({ focus: 'h1, h2, h3, h4, h5, h6', announce: true, announcement: title => title }, options);
+  }
+
+  /**
+   * @hidden
+   * Called by the `ui-view` directive when a view has entered (after its animation is done)
+   */
+  viewEntered($element: JQuery) {
+    let trans = this._trans;
+    if (!this._options || !trans) return;
+
+    this._entered.push($element[0]);
+    // Wait for the rest of the views of the transition
+    if (this._entered.length === 1) {
+      this._$timeout(() => this._transitionRendered(trans), 0, false);
+    }
+  }
+
+  /** @hidden */
+  private _transitionRendered(trans: Transition) {
+    if (this._trans !== trans) return;
+    let entered = outermost(this._entered);
+    this._trans = null;
+    this._entered = [];
+
+    let target = find(entered.map(el => el.querySelector(this._options.focus)), el => !!el);
+    if (target) {
+      if (!target.hasAttribute('tabindex')) target.setAttribute('tabindex', '-1');
+      (<HTMLElement> target).focus();
+    }
+
+    let title = this._$window.document.title || (target && target.textContent.trim());
+    if (this._options.announce && title) {
+      this._announce(this._options.announcement(title, trans));
+    }
+  }
+
+  /** @hidden */
+  private _announce(message: string) {
+    let document = this._$window.document;
+    if (!this._liveRegion || !document.body.contains(this._liveRegion)) {
+      let region = this._liveRegion = document.createElement('div');
+      region.setAttribute('aria-live', 'polite');
+      region.setAttribute('aria-atomic', 'true');
+      region.setAttribute('class', 'ui-view-announcer');
+      region.setAttribute('style', visuallyHidden);
+      document.body.appendChild(region);
+    }
+    this._liveRegion.textContent = message;
+  }
+}
+
+angular.module('ui.router.state').provider('$uiViewAccessibility', () => new UIViewAccessibility());
@@ -1,8 +1,13 @@
 /** @module ng1 */ /** */
 import { ng as angular } from "./angular";
 import { IServiceProviderFactory } from "angular";
+import { Transition, TransitionService, TypedMap, extend, forEach, noop, isFunction } from "@uirouter/core";
 import IAnchorScrollService = angular.IAnchorScrollService;
 import ITimeoutService = angular.ITimeoutService;
+import IRootScopeService = angular.IRootScopeService;
+import ILocationService = angular.ILocationService;
+import IWindowService = angular.IWindowService;
+import IQService = angular.IQService;
 
 export interface UIViewScrollProvider {
   /**
@@ -10,31 +15,239 @@ export interface UIViewScrollProvider {
    *
    * Reverts [[$uiViewScroll]] back to using the core [`$anchorScroll`](http://docs.angularjs.org/api/ng.$anchorScroll)
    * service for scrolling based on the url anchor.
+   *
+   * Note: `$anchorScroll` replaces all the other scroll behavior, so the [[useScrollRestoration]]
+   * and [[scrollOffset]] settings are ignored when this is used.
    */
   useAnchorScroll(): void;
+
+  /**
+   * Restores the scroll positions when navigating back and forward through the browser history
+   *
+   * Before each transition, the scroll offsets of the window (and of the `containers`) are recorded
+   * for the history entry which is being left.
+   *
+   * When a transition is triggered by the browser's back or forward button (a `popstate` event),
+   * the recorded offsets of the history entry are restored after the `ui-view`s have rendered
+   * (after their enter animations are done).
+   *
+   * Other (new) navigations scroll to the element matching the url's `#hash` (see [[scrollOffset]]),
+   * or to the top of the page.
+   * A transition which enters and exits no states (i.e., it only changes dynamic parameter values) does not scroll.
+   *
+   * The scroll offsets are applied again after each `ui-view` of the transition renders,
+   * until they are reached (i.e., once the content is tall enough), and not after that.
+   *
+   * This is ignored when [[useAnchorScroll]] is used.
+   *
+   * #### Example:
+   * ```js
+   * app.config(function($uiViewScrollProvider) {
+   *   $uiViewScrollProvider.useScrollRestoration({ key: 'url', containers: ['.sidebar', '#results'] });
+   * });
+   * ```
+   *
+   * @param options the [[ScrollRestorationOptions]]
+   */
+  useScrollRestoration(options?: ScrollRestorationOptions): void;
+
+  /**
+   * Sets the vertical offset used when scrolling to the element matching the url's `#hash`
+   *
+   * When the url has a `#hash`, [[$uiViewScroll]] waits until the views of the transition (including nested views)
+   * have rendered, then scrolls to the element whose `id` (or the anchor whose `name`) matches the hash.
+   * The offset is subtracted from the element's position, i.e., to account for a fixed header.
+   *
+   * This is ignored when [[useAnchorScroll]] is used.
+   *
+   * #### Example:
+   * ```js
+   * app.config(function($uiViewScrollProvider) {
+   *   $uiViewScrollProvider.scrollOffset(function() {
+   *     return document.querySelector('header.fixed').offsetHeight;
+   *   });
+   * });
+   * ```
+   *
+   * @param offset the offset (in pixels), or a function which returns the offset
+   */
+  scrollOffset(offset: number | (() => number)): void;
 }
 
+/** Options for [[UIViewScrollProvider.useScrollRestoration]] */
+export interface ScrollRestorationOptions {
+  /**
+   * Identifies a history entry by its url (`'url'`), or by its state and parameter values (`'state'`).
+   *
+   * Defaults to `'url'`.
+   */
+  key?: 'url' | 'state';
+
+  /**
+   * CSS selectors of the scrollable elements (other than the window) whose scroll offsets are restored.
+   */
+  containers?: string[];
+}
+
+/** @hidden The recorded scroll offsets of a history entry */
+interface ScrollOffsets {
+  window: number[];
+  containers: TypedMap<number[]>;
+}
 
 /** @hidden */
 function $ViewScrollProvider() {
 
   var useAnchorScroll = false;
+  let restoration: ScrollRestorationOptions = null;
+  let offset: number | (() => number) = 0;
 
   this.useAnchorScroll = function () {
     useAnchorScroll = true;
   };
 
-  this.$get = ['$anchorScroll', '$timeout', function ($anchorScroll: IAnchorScrollService, $timeout: ITimeoutService): Function {
+  this.useScrollRestoration = function (options?: ScrollRestorationOptions) {
+    restoration = extend({ key: 'url', containers: [] }, options);
+  };
+
+  this.scrollOffset = function (_offset: number | (() => number)) {
+    offset = _offset;
+  };
+
+  this.$get = ['$anchorScroll', '$timeout', '$transitions', '$rootScope', '$window', '$location', '$q',
+      function ($anchorScroll: IAnchorScrollService, $timeout: ITimeoutService, $transitions: TransitionService,
+                $rootScope: IRootScopeService, $window: IWindowService, $location: ILocationService, $q: IQService): Function {
     if (useAnchorScroll) {
       return $anchorScroll;
     }
 
+    // The number of ui-views which have started rendering, but whose enter animation is not done
+    let rendering = 0, whenRendered: Function[] = [];
+    $transitions.onStart({}, () => { rendering = 0; });
+    $rootScope.$on('$viewContentLoading', () => rendering++);
+    $rootScope.$on('$viewContentAnimationEnded', () => {
+      rendering = Math.max(0, rendering - 1);
+      if (rendering === 0) whenRendered.splice(0).forEach(callback => callback());
+    });
+
+    /** Invokes a callback (after a `$timeout`) once the ui-view tree has finished rendering */
+    function afterRender(callback: Function) {
+      let deferred = $q.defer();
+      let invoke = () => $timeout(() => deferred.resolve(callback()), 0, false);
+      rendering === 0 ? invoke() : whenRendered.push(invoke);
+      return deferred.promise;
+    }
+
+    /** Scrolls to the element matching the url's `#hash`, if any, taking the [[scrollOffset]] into account */
+    function scrollToHash(): boolean {
+      let hash = $location.hash(), document = $window.document;
+      let target: Element = hash && (document.getElementById(hash) || document.getElementsByName(hash)[0]);
+      if (!target) return false;
+
+      let top = target.getBoundingClientRect().top + $window.pageYOffset;
+      $window.scrollTo($window.pageXOffset, top - (isFunction(offset) ? offset() : offset));
+      return true;
+    }
+
+    /** Scrolls to the element matching the url's `#hash`, or to the top. Returns false if the element is not rendered yet. */
+    function scrollToHashOrTop(): boolean {
+      if (scrollToHash()) return true;
+      $window.scrollTo(0, 0);
+      return !$location.hash();
+    }
+
+    let restoring = restoration && scrollRestoration(restoration, scrollToHashOrTop, $transitions, $rootScope, $window, $location);
+
     return function ($element: JQuery) {
+      // Wait for nested views to render, so the element matching the hash is in the DOM (and in its final position)
+      if ($location.hash()) {
+        return afterRender(() => (restoring && restoring()) || scrollToHash() || $element[0].scrollIntoView());
+      }
+
       return $timeout(function () {
+        // The scroll offsets of a history entry are being restored; do not scroll the ui-view element into view
+        if (restoring && restoring()) return;
         $element[0].scrollIntoView();
       }, 0, false);
     };
   }];
 }
 
+/**
+ * @hidden
+ * Registers the hooks which record and restore the scroll offsets for each history entry.
+ *
+ * @returns a function which returns true while the scroll offsets of a history entry are being restored
+ */
+function scrollRestoration(options: ScrollRestorationOptions, scrollToHashOrTop: () => boolean,
+                           $transitions: TransitionService, $rootScope: IRootScopeService,
+                           $window: IWindowService, $location: ILocationService): () => boolean {
+  let offsets: TypedMap<ScrollOffsets> = {};
+  let currentKey: string = null, popstate = false, restoring = false;
+  // The scroll action of the latest successful transition, applied after each ui-view enter animation until it succeeds
+  let pending: () => boolean = null;
+
+  if ($window.history && 'scrollRestoration' in $window.history) {
+    $window.history.scrollRestoration = 'manual';
+  }
+  angular.element($window).on('popstate', () => popstate = true);
+
+  const keyFor = (trans: Transition) =>
+      options.key === 'state' ? trans.to().name + angular.toJson(trans.params()) : $location.url();
+
+  const containers = (): TypedMap<Element> => options.containers.reduce((acc, selector) =>
+      (acc[selector] = $window.document.querySelector(selector), acc), {});
+
+  function save(): ScrollOffsets {
+    let saved: ScrollOffsets = { window: [$window.pageXOffset, $window.pageYOffset], containers: {} };
+    forEach(containers(), (el: Element, selector: string) => {
+      if (el) saved.containers[selector] = [el.scrollLeft, el.scrollTop];
+    });
+    return saved;
+  }
+
+  /** Restores the scroll offsets. Returns false if they were not reached (i.e., the content is not tall enough yet). */
+  function restore(saved: ScrollOffsets): boolean {
+    $window.scrollTo(saved.window[0], saved.window[1]);
+    let reached = $window.pageXOffset === saved.window[0] && $window.pageYOffset === saved.window[1];
+    forEach(containers(), (el: Element, selector: string) => {
+      let offset = saved.containers[selector];
+      if (el && offset) {
+        el.scrollLeft = offset[0];
+        el.scrollTop = offset[1];
+        reached = reached && el.scrollLeft === offset[0] && el.scrollTop === offset[1];
+      }
+    });
+    return reached;
+  }
+
+  function applyPending() {
+    if (pending && pending()) pending = null;
+  }
+
+  $transitions.onStart({}, (trans: Transition) => {
+    let historyNavigation = popstate && trans.options().source === 'url';
+    popstate = false;
+    pending = null;
+    restoring = false;
+    if (currentKey !== null) offsets[currentKey] = save();
+
+    trans.promise.then(() => {
+      currentKey = keyFor(trans);
+      // A transition which only changes dynamic parameter values does not render any view, so it does not scroll
+      if (!trans.entering().length && !trans.exiting().length) return;
+      let saved = historyNavigation && offsets[currentKey];
+      restoring = !!saved;
+      pending = saved ? () => restore(saved) : scrollToHashOrTop;
+      applyPending();
+    }, noop);
+  });
+
+  $rootScope.$on('$viewContentAnimationEnded', applyPending);
+
+  return () => restoring;
+}
+
 angular.module('ui.router.state').provider('$uiViewScroll', <IServiceProviderFactory> $ViewScrollProvider);
+// Instantiate the service so the scroll restoration hooks are registered before the initial transition
+angular.module('ui.router.state').run(['$uiViewScroll', function ($uiViewScroll: Function) { }]);
@@ -0,0 +1,103 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+import { Breadcrumbs } from "../src/breadcrumbs";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('$breadcrumbs', () => {
+  let $state: StateService, $breadcrumbs: Breadcrumbs, $q;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    $stateProvider.state({ name: 'users', url: '/users', breadcrumb: 'Users' });
+    $stateProvider.state({
+      name: 'users.user',
+      url: '/:userId',
+      breadcrumb: '{{ user.name }}',
+      resolve: { user: ($transition$) => ({ name: 'user ' + $transition$.params().userId }) },
+    });
+    $stateProvider.state({ name: 'users.user.edit', url: '/edit', breadcrumb: false });
+    $stateProvider.state({ name: 'admin', url: '/admin', abstract: true });
+    $stateProvider.state({ name: 'admin.settings', url: '/settings', title: 'Settings' });
+    $stateProvider.state({ name: 'admin.logs', url: '/logs', breadcrumb: ($state$) => $state$.name.toUpperCase() });
+    $stateProvider.state({ name: 'about', url: '/about' });
+  }));
+
+  beforeEach(inject((_$state_, _$breadcrumbs_, _$q_) => {
+    $state = _$state_;
+    $breadcrumbs = _$breadcrumbs_;
+    $q = _$q_;
+  }));
+
+  const go = (state: string, params?) => {
+    $state.go(state, params);
+    $q.flush();
+  };
+  const labels = () => $breadcrumbs.breadcrumbs.map(crumb => crumb.label);
+
+  it('contributes a breadcrumb for each active state, with a label and link', () => {
+    go('users.user', { userId: '5' });
+
+    expect(labels()).toEqual(['Users', 'user 5']);
+    let [users, user] = $breadcrumbs.breadcrumbs;
+    expect(users.href).toBe($state.href('users', {}));
+    expect(user.href).toBe($state.href('users.user', { userId: '5' }));
+    expect(user.params['userId']).toBe('5');
+    expect(user.state).toBe($state.get('users.user'));
+  });
+
+  it('leaves out states with `breadcrumb: false`', () => {
+    go('users.user.edit', { userId: '5' });
+    expect(labels()).toEqual(['Users', 'user 5']);
+  });
+
+  it('leaves out abstract states, and falls back to the title', () => {
+    go('admin.settings');
+    expect(labels()).toEqual(['Settings']);
+  });
+
+  it('invokes an injectable breadcrumb function', () => {
+    go('admin.logs');
+    expect(labels()).toEqual(['ADMIN.LOGS']);
+  });
+
+  it('falls back to the state name', () => {
+    go('about');
+    expect(labels()).toEqual(['about']);
+  });
+
+  it('notifies onChange listeners', () => {
+    let changes = [];
+    let deregister = $breadcrumbs.onChange(crumbs => changes.push(crumbs.map(crumb => crumb.label)));
+    go('users');
+    go('about');
+    deregister();
+    go('users');
+
+    expect(changes).toEqual([['Users'], ['about']]);
+  });
+
+  describe('ui-breadcrumbs', () => {
+    let el;
+
+    beforeEach(inject(($compile, $rootScope) => {
+      el = $compile('<ui-breadcrumbs></ui-breadcrumbs>')($rootScope.$new());
+    }));
+
+    it('renders the breadcrumbs as links, except the active state', () => {
+      go('users.user', { userId: '5' });
+
+      let items = el.find('li');
+      expect(items.length).toBe(2);
+      expect(items.eq(0).find('a').attr('href')).toBe($state.href('users', {}));
+      expect(items.eq(0).text()).toBe('Users');
+      expect(items.eq(1).find('a').length).toBe(0);
+      expect(items.eq(1).find('span').attr('aria-current')).toBe('page');
+      expect(items.eq(1).text()).toBe('user 5');
+    });
+  });
+});
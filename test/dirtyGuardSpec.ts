@@ -0,0 +1,139 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('ui-dirty-guard', () => {
+  let $state: StateService, $q, $timeout, $window, el;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    $stateProvider.state({ name: 'home', template: 'home' });
+    $stateProvider.state({ name: 'edit', template: '<form name="editForm" ui-dirty-guard><input name="name" ng-model="name"></form>' });
+    $stateProvider.state({ name: 'message', template: '<form ui-dirty-guard="Discard your changes?"><input ng-model="name"></form>' });
+    $stateProvider.state({ name: 'redirect', redirectTo: 'home' });
+  }));
+
+  beforeEach(inject((_$state_, _$q_, _$timeout_, _$window_, $compile, $rootScope) => {
+    $state = _$state_;
+    $q = _$q_;
+    $timeout = _$timeout_;
+    $window = _$window_;
+    el = $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+  }));
+
+  const go = (state: string) => {
+    $state.go(state);
+    $q.flush();
+    $timeout.flush();
+  };
+
+  const setDirty = () => {
+    el.find('input').controller('ngModel').$setViewValue('changed');
+    $q.flush();
+  };
+
+  it('does not ask when the form is pristine', () => {
+    spyOn($window, 'confirm');
+    go('edit');
+    go('home');
+
+    expect($window.confirm).not.toHaveBeenCalled();
+    expect($state.current.name).toBe('home');
+  });
+
+  it('leaves the dirty form when the user confirms', () => {
+    spyOn($window, 'confirm').and.returnValue(true);
+    go('edit');
+    setDirty();
+    go('home');
+
+    expect($window.confirm).toHaveBeenCalledWith('You have unsaved changes. Do you want to leave this page?');
+    expect($state.current.name).toBe('home');
+  });
+
+  it('cancels the transition when the user does not confirm', () => {
+    spyOn($window, 'confirm').and.returnValue(false);
+    go('edit');
+    setDirty();
+    $state.go('home');
+    $q.flush();
+
+    expect($state.current.name).toBe('edit');
+  });
+
+  it('asks once when the transition is redirected', () => {
+    spyOn($window, 'confirm').and.returnValue(true);
+    go('edit');
+    setDirty();
+    go('redirect');
+
+    expect($window.confirm).toHaveBeenCalledTimes(1);
+    expect($state.current.name).toBe('home');
+  });
+
+  it('uses the value of the attribute as the message', () => {
+    spyOn($window, 'confirm').and.returnValue(true);
+    go('message');
+    setDirty();
+    go('home');
+
+    expect($window.confirm).toHaveBeenCalledWith('Discard your changes?');
+  });
+
+  it('hooks beforeunload while the form is dirty', () => {
+    spyOn($window, 'addEventListener').and.callThrough();
+    spyOn($window, 'removeEventListener').and.callThrough();
+    go('edit');
+    expect($window.addEventListener).not.toHaveBeenCalledWith('beforeunload', jasmine.any(Function));
+
+    setDirty();
+    let listener = $window.addEventListener.calls.mostRecent().args[1];
+    let event = <any> {};
+    listener(event);
+    expect(event.returnValue).toBe('You have unsaved changes. Do you want to leave this page?');
+
+    el.find('form').controller('form').$setPristine();
+    $q.flush();
+    expect($window.removeEventListener).toHaveBeenCalledWith('beforeunload', listener);
+  });
+});
+
+describe('ui-dirty-guard with a custom confirm service', () => {
+  let $state: StateService, $q, $timeout, el, confirmed;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $provide, $uiDirtyGuardProvider) => {
+    $stateProvider.state({ name: 'home', template: 'home' });
+    $stateProvider.state({ name: 'edit', template: '<form ui-dirty-guard><input ng-model="name"></form>' });
+    $provide.factory('confirmLeave', ($q) => (message, trans) => (confirmed = [message, trans.to().name], $q.reject('closed')));
+    $uiDirtyGuardProvider.useConfirm('confirmLeave');
+    $uiDirtyGuardProvider.defaultMessage('Leave?');
+  }));
+
+  beforeEach(inject((_$state_, _$q_, _$timeout_, $compile, $rootScope) => {
+    $state = _$state_;
+    $q = _$q_;
+    $timeout = _$timeout_;
+    el = $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+  }));
+
+  it('invokes the service, and cancels the transition when its promise is rejected', () => {
+    $state.go('edit');
+    $q.flush();
+    $timeout.flush();
+    el.find('input').controller('ngModel').$setViewValue('changed');
+    $q.flush();
+
+    $state.go('home');
+    $q.flush();
+
+    expect(confirmed).toEqual(['Leave?', 'home']);
+    expect($state.current.name).toBe('edit');
+  });
+});
@@ -0,0 +1,83 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('state title and meta', () => {
+  let $state: StateService, $q, originalTitle: string;
+  const metaContent = (selector: string) => {
+    let tag = document.head.querySelector(selector);
+    return tag && tag.getAttribute('content');
+  };
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    $stateProvider.state({ name: 'app', title: 'My App' });
+    $stateProvider.state({
+      name: 'app.user',
+      title: '{{ user.name }} - Users',
+      meta: {
+        'description': 'The profile of {{ user.name }}',
+        'og:title': (user) => user.name,
+      },
+      resolve: { user: () => ({ name: 'bob' }) },
+    });
+    $stateProvider.state({ name: 'app.settings', title: ($state$, $q) => $q.when($state$.name + ' page') });
+    $stateProvider.state({ name: 'plain' });
+  }));
+
+  beforeEach(inject((_$state_, _$q_) => {
+    $state = _$state_;
+    $q = _$q_;
+    originalTitle = document.title;
+    document.title = 'Original title';
+  }));
+
+  afterEach(() => {
+    document.title = originalTitle;
+    angular.element(document.head.querySelectorAll('meta[name="description"], meta[property="og:title"]')).remove();
+  });
+
+  const go = (state: string) => {
+    $state.go(state);
+    $q.flush();
+  };
+
+  it('sets the document title from a static title', () => {
+    go('app');
+    expect(document.title).toBe('My App');
+  });
+
+  it('interpolates the title of the deepest state against the resolved data', () => {
+    go('app.user');
+    expect(document.title).toBe('bob - Users');
+  });
+
+  it('invokes an injectable title function', () => {
+    go('app.settings');
+    expect(document.title).toBe('app.settings page');
+  });
+
+  it('updates the <meta> tags', () => {
+    go('app.user');
+    expect(metaContent('meta[name="description"]')).toBe('The profile of bob');
+    expect(metaContent('meta[property="og:title"]')).toBe('bob');
+  });
+
+  it('restores the original title and removes the <meta> tags when no active state defines them', () => {
+    go('app.user');
+    go('plain');
+    expect(document.title).toBe('Original title');
+    expect(document.head.querySelector('meta[name="description"]')).toBeNull();
+    expect(document.head.querySelector('meta[property="og:title"]')).toBeNull();
+  });
+
+  it('does not change the title when no state defines one', () => {
+    go('plain');
+    expect(document.title).toBe('Original title');
+  });
+});
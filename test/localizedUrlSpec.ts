@@ -0,0 +1,77 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('localized urls', () => {
+  let $state: StateService, $location, $rootScope, $q, $compile;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $locationProvider) => {
+    $locationProvider.hashPrefix('');
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({ name: 'products', url: { en: '/products', de: '/produkte' } });
+    $stateProvider.state({ name: 'products.detail', url: '/{id}?tab' });
+    $stateProvider.state({ name: 'products.detail.reviews', url: { en: '/reviews', de: '/bewertungen' } });
+    $stateProvider.state({ name: 'about', url: { en: '/about', de: '/ueber-uns', fr: '/a-propos' }, params: { locale: 'fr' } });
+  }));
+
+  beforeEach(inject((_$state_, _$location_, _$rootScope_, _$q_, _$compile_) => {
+    $state = _$state_;
+    $location = _$location_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+    $compile = _$compile_;
+  }));
+
+  const sync = (url: string) => {
+    $location.url(url);
+    $rootScope.$digest();
+    $q.flush();
+  };
+
+  it('matches an incoming url in any locale', () => {
+    sync('/produkte/42/bewertungen?tab=top');
+    expect($state.current.name).toBe('products.detail.reviews');
+    expect($state.params).toEqual(jasmine.objectContaining({ id: '42', tab: 'top', locale: 'de' }));
+
+    sync('/products/42');
+    expect($state.current.name).toBe('products.detail');
+    expect($state.params['locale']).toBe('en');
+  });
+
+  it('does not match a url which mixes locales', () => {
+    sync('/produkte/42/reviews');
+    expect($state.current.name).toBe('');
+  });
+
+  it('builds the url for the locale param', () => {
+    expect($state.href('products.detail', { id: 42 })).toBe('#/products/42');
+    expect($state.href('products.detail', { id: 42, locale: 'de' })).toBe('#/produkte/42');
+    expect($state.href('products.detail.reviews', { id: 42, locale: 'de' })).toBe('#/produkte/42/bewertungen');
+  });
+
+  it('uses the declared default of the locale param', () => {
+    expect($state.href('about', {})).toBe('#/a-propos');
+  });
+
+  it('keeps the current locale when navigating', () => {
+    sync('/produkte/1');
+    $state.go('products.detail.reviews');
+    $q.flush();
+
+    expect($location.url()).toBe('/produkte/1/bewertungen');
+  });
+
+  it('builds ui-sref links in the current locale', () => {
+    sync('/produkte/1');
+    let link = $compile('<a ui-sref="products.detail({ id: 2 })">2</a>')($rootScope.$new());
+    $rootScope.$digest();
+
+    expect(link.attr('href')).toBe('#/produkte/2');
+  });
+});
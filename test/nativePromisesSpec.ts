@@ -0,0 +1,127 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService, services } from "@uirouter/core";
+import { NativePromises } from "../src/nativePromises";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+// PhantomJS has no native Promise
+const describeNative = typeof Promise === 'function' ? describe : xdescribe;
+
+describeNative('native promises', () => {
+  let $state: StateService, $q, $timeout, $rootScope, $nativePromises: NativePromises, log: string[];
+
+  // Waits until the (already settled) native promises have run their callbacks
+  const nativeTick = () => new Promise(resolve => setTimeout(resolve));
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $nativePromisesProvider) => {
+    log = [];
+    $nativePromisesProvider.enable();
+
+    $stateProvider.state({
+      name: 'user',
+      resolve: {
+        user: () => Promise.resolve('alice'),
+        roles: () => Promise.resolve(['admin']),
+      },
+    });
+    $stateProvider.state({ name: 'enter', onEnter: () => Promise.resolve().then(() => { log.push('onEnter'); }) });
+    $stateProvider.state({ name: 'failing', resolve: { data: () => Promise.reject('failed') } });
+    $stateProvider.state({ name: 'view', templateProvider: () => Promise.resolve('<h1>{{ title }}</h1>') });
+  }));
+
+  beforeEach(inject((_$state_, _$q_, _$timeout_, _$rootScope_, _$nativePromises_) => {
+    $state = _$state_;
+    $q = _$q_;
+    $timeout = _$timeout_;
+    $rootScope = _$rootScope_;
+    $nativePromises = _$nativePromises_;
+  }));
+
+  it('converts a native promise to a $q promise', () => {
+    expect($nativePromises.settle(Promise.resolve()) instanceof Promise).toBe(false);
+    expect($nativePromises.settle('value')).toBe('value');
+  });
+
+  it('does not replace the $injector and $q of the router', inject(($injector) => {
+    expect(services.$injector).toBe($injector);
+    expect(services.$q).toBe($q);
+  }));
+
+  it('settles the native promises of the resolves in a single digest', (done) => {
+    let trans = $state.go('user').transition;
+    $q.flush();
+
+    nativeTick().then(() => {
+      expect($state.current.name).toBe('');
+      spyOn($rootScope, '$digest').and.callThrough();
+      $timeout.flush();
+
+      expect($rootScope.$digest).toHaveBeenCalledTimes(1);
+      expect($state.current.name).toBe('user');
+      expect(trans.injector().get('user')).toBe('alice');
+      expect(trans.injector().get('roles')).toEqual(['admin']);
+      done();
+    });
+  });
+
+  it('waits for the native promise of onEnter', (done) => {
+    $state.go('enter');
+    $q.flush();
+
+    nativeTick().then(() => {
+      expect(log).toEqual(['onEnter']);
+      $timeout.flush();
+
+      expect($state.current.name).toBe('enter');
+      done();
+    });
+  });
+
+  it('rejects the transition when a native promise is rejected', (done) => {
+    let error;
+    $state.defaultErrorHandler(err => error = err);
+    $state.go('failing');
+    $q.flush();
+
+    nativeTick().then(() => {
+      $timeout.flush();
+
+      expect($state.current.name).toBe('');
+      expect(error.detail).toBe('failed');
+      done();
+    });
+  });
+
+  it('renders the template of a native promise templateProvider', (done) => {
+    let scope = $rootScope.$new();
+    scope.title = 'async';
+    let el = angular.element('<div><ui-view></ui-view></div>');
+    inject($compile => $compile(el)(scope));
+
+    $state.go('view');
+    $q.flush();
+
+    nativeTick().then(() => {
+      $timeout.flush();
+      scope.$digest();
+
+      expect(el.find('h1').text()).toBe('async');
+      done();
+    });
+  });
+});
+
+describeNative('native promises (disabled)', () => {
+  beforeEach(module('ui.router'));
+
+  it('returns a native promise as is', inject(($nativePromises: NativePromises) => {
+    let promise = Promise.resolve();
+    expect($nativePromises.isEnabled()).toBe(false);
+    expect($nativePromises.settle(promise)).toBe(promise);
+  }));
+});
@@ -0,0 +1,103 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService, TransitionService } from "@uirouter/core";
+import { ParamSchemaError, validateParamSchema } from "../src/paramSchema";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('param schema', () => {
+  let $state: StateService, $transitions: TransitionService, $location, $rootScope, $q;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({
+      name: 'products',
+      url: '/products?{page:int}&sort&q&tag',
+      params: {
+        page: { value: 1, schema: { type: 'integer', min: 1, policy: 'redirect' } },
+        sort: { value: 'name', schema: { enum: ['name', 'price'] } },
+        q: { value: null, schema: { regex: /^\w*$/, policy: 'reject' } },
+        tag: { value: 'all', schema: { max: 3, policy: 'drop' } },
+      },
+    });
+  }));
+
+  beforeEach(inject((_$state_, _$transitions_, _$location_, _$rootScope_, _$q_) => {
+    $state = _$state_;
+    $transitions = _$transitions_;
+    $location = _$location_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+  }));
+
+  const sync = (url: string) => {
+    $location.url(url);
+    $rootScope.$digest();
+    $q.flush();
+  };
+
+  it('validates a value against the schema rules', () => {
+    expect(validateParamSchema({ type: 'integer', min: 1 }, 0)).toEqual(['min']);
+    expect(validateParamSchema({ type: 'integer' }, NaN)).toEqual(['type']);
+    expect(validateParamSchema({ enum: ['a', 'b'] }, ['a', 'c'])).toEqual(['enum']);
+    expect(validateParamSchema({ regex: '^x+$', max: 2 }, 'xxx')).toEqual(['max']);
+    expect(validateParamSchema({ required: true }, '')).toEqual(['required']);
+    expect(validateParamSchema({ type: 'string', min: 2 }, null)).toEqual([]);
+  });
+
+  it('enters the state with valid values', () => {
+    sync('/products?page=2&sort=price&q=shoes&tag=new');
+
+    expect($state.current.name).toBe('products');
+    expect($state.params).toEqual(jasmine.objectContaining({ page: 2, sort: 'price', q: 'shoes', tag: 'new' }));
+  });
+
+  it('uses the default value, without changing the url (default policy)', () => {
+    sync('/products?sort=foo');
+
+    expect($state.current.name).toBe('products');
+    expect($state.params['sort']).toBe('name');
+    expect($location.url()).toBe('/products?sort=foo');
+  });
+
+  it('drops the value, without changing the url (drop policy)', () => {
+    sync('/products?tag=toolong');
+
+    expect($state.params['tag']).toBeNull();
+    expect($location.url()).toBe('/products?tag=toolong');
+  });
+
+  it('replaces the url with the canonical url (redirect policy)', () => {
+    spyOn($location, 'replace').and.callThrough();
+    sync('/products?page=abc');
+
+    expect($state.current.name).toBe('products');
+    expect($state.params['page']).toBe(1);
+    expect($location.url()).toBe('/products?page=1&sort=name&tag=all');
+    expect($location.replace).toHaveBeenCalled();
+  });
+
+  it('rejects the transition with a ParamSchemaError (reject policy)', () => {
+    let error;
+    $transitions.onError({}, trans => { error = trans.error().detail; });
+    $state.defaultErrorHandler(() => null);
+    sync('/products?q=%3Cscript%3E&page=0');
+
+    expect($state.current.name).toBe('');
+    expect(error instanceof ParamSchemaError).toBe(true);
+    expect(error.errors).toEqual({ page: ['min'], q: ['regex'] });
+    expect(error.values).toEqual({ page: 0, q: '<script>' });
+  });
+
+  it('validates the params of $state.go()', () => {
+    $state.go('products', { page: -1, sort: 'foo' });
+    $q.flush();
+
+    expect($state.params).toEqual(jasmine.objectContaining({ page: 1, sort: 'name' }));
+    expect($location.url()).toBe('/products?page=1&sort=name&tag=all');
+  });
+});
@@ -0,0 +1,135 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService, UrlMatcherFactory } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('ng1 param types', () => {
+  let $state: StateService, $location, $rootScope, $q;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $locationProvider) => {
+    $locationProvider.hashPrefix('');
+    $stateProvider.state({ name: 'json', url: '/json?{filter:json}' });
+    $stateProvider.state({ name: 'nested', url: '/nested?{filter:nested}&{tags:nested}&page' });
+    $stateProvider.state({ name: 'nested.child', url: '/child?{sort:nested}' });
+    $stateProvider.state({ name: 'defaults', url: '/defaults?{tags:nested}&{filter:nested}&page', params: { tags: { value: [] }, filter: { value: { a: 1 }, squash: true } } });
+    $stateProvider.state({ name: 'base64', url: '/base64?{filter:base64json}' });
+  }));
+
+  beforeEach(inject((_$state_, _$location_, _$rootScope_, _$q_) => {
+    $state = _$state_;
+    $location = _$location_;
+    $rootScope = _$rootScope_;
+    $q = _$q_;
+  }));
+
+  const go = (state: string, params) => {
+    $state.go(state, params);
+    $q.flush();
+  };
+
+  const sync = (url: string) => {
+    $location.url(url);
+    $rootScope.$digest();
+    $q.flush();
+  };
+
+  it('are registered with $urlMatcherFactory', inject(($urlMatcherFactory: UrlMatcherFactory) => {
+    expect($urlMatcherFactory.type('json')).toBeDefined();
+    expect($urlMatcherFactory.type('nested')).toBeDefined();
+    expect($urlMatcherFactory.type('base64json')).toBeDefined();
+  }));
+
+  describe('json', () => {
+    it('round trips an object through the url', () => {
+      let filter = { name: 'bob/smith', count: 3, tags: ['a', 'b'] };
+      go('json', { filter });
+      expect(JSON.parse($location.search().filter)).toEqual(filter);
+
+      go('json', { filter: null });
+      sync('/json?filter=' + encodeURIComponent(JSON.stringify(filter)));
+      expect($state.params['filter']).toEqual(filter);
+    });
+
+    it('encodes an array as a single value', () => {
+      go('json', { filter: ['a', 'b'] });
+      expect($location.search().filter).toBe('["a","b"]');
+      expect($state.params['filter']).toEqual(['a', 'b']);
+    });
+
+    it('ignores invalid JSON', () => {
+      sync('/json?filter=%7Bnot-json');
+      expect($state.current.name).toBe('json');
+      expect($state.params['filter']).toBeUndefined();
+    });
+  });
+
+  describe('nested', () => {
+    let filter = [{ name: 'bob', op: 'eq' }, { name: 'age', values: ['1', '2'] }];
+
+    it('encodes objects and arrays using nested keys', () => {
+      go('nested', { filter, tags: ['a', 'b'], page: '2' });
+
+      expect($location.search()).toEqual({
+        'page': '2',
+        'filter[0][name]': 'bob',
+        'filter[0][op]': 'eq',
+        'filter[1][name]': 'age',
+        'filter[1][values][]': ['1', '2'],
+        'tags[]': ['a', 'b'],
+      });
+    });
+
+    it('decodes the nested keys', () => {
+      sync('/nested?filter[0][name]=bob&filter[0][op]=eq&filter[1][name]=age&filter[1][values][]=1&filter[1][values][]=2&tags[]=a');
+
+      expect($state.current.name).toBe('nested');
+      expect($state.params['filter']).toEqual(filter);
+      expect($state.params['tags']).toEqual(['a']);
+    });
+
+    it('round trips $location.search() without loss', () => {
+      let sort = { field: 'name', dir: 'asc' };
+      go('nested.child', { filter, tags: ['a', 'b'], sort });
+      let search = $location.search();
+
+      go('json', { filter: null });
+      $location.path('/nested/child').search(search);
+      $rootScope.$digest();
+      $q.flush();
+
+      expect($state.current.name).toBe('nested.child');
+      expect($state.params['filter']).toEqual(filter);
+      expect($state.params['tags']).toEqual(['a', 'b']);
+      expect($state.params['sort']).toEqual(sort);
+    });
+
+    it('builds hrefs with nested keys', () => {
+      expect($state.href('nested', { tags: ['a'] })).toMatch(/\/nested\?tags\[\]=a$/);
+    });
+
+    it('does not encode a default value under the param name', () => {
+      expect($state.href('defaults', {})).toBe('#/defaults');
+      expect($state.href('defaults', { page: '2' })).toBe('#/defaults?page=2');
+      expect($state.href('defaults', { tags: ['a'], page: '2' })).toBe('#/defaults?page=2&tags[]=a');
+    });
+  });
+
+  describe('base64json', () => {
+    it('round trips an object through the url, using base64url', () => {
+      let filter = { name: 'björk?', tags: ['a/b', 'c+d'] };
+      go('base64', { filter });
+
+      let encoded = $location.search().filter;
+      expect(encoded).toMatch(/^[A-Za-z0-9_-]+$/);
+
+      go('json', { filter: null });
+      sync('/base64?filter=' + encoded);
+      expect($state.params['filter']).toEqual(filter);
+    });
+  });
+});
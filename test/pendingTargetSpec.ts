@@ -0,0 +1,131 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+import { PendingTarget } from "../src/pendingTarget";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('$pendingTarget', () => {
+  let $state: StateService, $pendingTarget: PendingTarget, $q, loggedIn: boolean;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $pendingTargetProvider) => {
+    loggedIn = false;
+    $pendingTargetProvider.captureRedirectsTo('login');
+
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({ name: 'login', url: '/login' });
+    $stateProvider.state({ name: 'inbox', url: '/inbox/:folder', canActivate: ($state) => loggedIn || $state.target('login') });
+    $stateProvider.state({ name: 'oldInbox', url: '/old-inbox', redirectTo: 'inbox' });
+  }));
+
+  beforeEach(inject((_$state_, _$pendingTarget_, _$q_) => {
+    $state = _$state_;
+    $pendingTarget = _$pendingTarget_;
+    $q = _$q_;
+    $state.defaultErrorHandler(() => null);
+  }));
+
+  const go = (state: string, params?) => {
+    $state.go(state, params);
+    $q.flush();
+  };
+
+  it('saves the original target when a transition is redirected to a capture state', () => {
+    go('inbox', { folder: 'drafts' });
+
+    expect($state.current.name).toBe('login');
+    expect($pendingTarget.target.name()).toBe('inbox');
+    expect($pendingTarget.target.params()).toEqualValues({ folder: 'drafts' });
+  });
+
+  it('saves the first target in the redirect chain', () => {
+    go('oldInbox');
+    expect($state.current.name).toBe('login');
+    expect($pendingTarget.target.name()).toBe('oldInbox');
+  });
+
+  it('does not save a target when the capture state is activated directly', () => {
+    go('login');
+    expect($pendingTarget.target).toBeNull();
+  });
+
+  describe('$state.resumePending()', () => {
+    it('activates the pending target, and clears it', () => {
+      go('inbox', { folder: 'drafts' });
+      loggedIn = true;
+      $state.resumePending();
+      $q.flush();
+
+      expect($state.current.name).toBe('inbox');
+      expect($state.params['folder']).toBe('drafts');
+      expect($pendingTarget.target).toBeNull();
+    });
+
+    it('activates the fallback state when there is no pending target', () => {
+      go('login');
+      $state.resumePending('home');
+      $q.flush();
+
+      expect($state.current.name).toBe('home');
+    });
+
+    it('returns null when there is nothing to activate', () => {
+      expect($state.resumePending()).toBeNull();
+    });
+  });
+});
+
+describe('$pendingTarget with sessionStorage', () => {
+  const key = 'uiRouterPendingTarget';
+  let $state: StateService, $pendingTarget: PendingTarget, $q, stored: any;
+
+  beforeEach(() => stored = { state: 'inbox', params: { folder: 'sent' }, options: {} });
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $pendingTargetProvider) => {
+    $pendingTargetProvider.useSessionStorage();
+    sessionStorage.setItem(key, JSON.stringify(stored));
+    $stateProvider.state({ name: 'inbox', url: '/inbox/:folder' });
+  }));
+
+  // Creates the injector (so a test can change the stored target first)
+  const init = () => inject((_$state_, _$pendingTarget_, _$q_) => {
+    $state = _$state_;
+    $pendingTarget = _$pendingTarget_;
+    $q = _$q_;
+  });
+
+  afterEach(() => sessionStorage.removeItem(key));
+
+  it('restores the pending target', () => {
+    init();
+    expect($pendingTarget.target.name()).toBe('inbox');
+    expect($pendingTarget.target.params()).toEqualValues({ folder: 'sent' });
+  });
+
+  it('persists the pending target', () => {
+    init();
+    $pendingTarget.save($state.target('inbox', { folder: 'drafts' }));
+    expect(JSON.parse(sessionStorage.getItem(key)).params).toEqual({ folder: 'drafts' });
+
+    $pendingTarget.clear();
+    expect(sessionStorage.getItem(key)).toBeNull();
+    expect($pendingTarget.target).toBeNull();
+  });
+
+  it('resumes a restored target whose state is registered later', () => {
+    stored = { state: 'lazy', params: {}, options: {} };
+    init();
+
+    inject($stateRegistry => $stateRegistry.register({ name: 'lazy', url: '/lazy' }));
+    $state.resumePending('inbox');
+    $q.flush();
+
+    expect($state.current.name).toBe('lazy');
+  });
+});
@@ -0,0 +1,207 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+import { Permissions } from "../src/permission";
+import { PendingTarget } from "../src/pendingTarget";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('$permission', () => {
+  let $state: StateService, $permission: Permissions, $pendingTarget: PendingTarget, $q, user: { roles: string[], loggedIn: boolean };
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider, $permissionProvider) => {
+    user = { roles: ['user'], loggedIn: true };
+
+    $permissionProvider.define(['user', 'admin', 'suspended'], ($q, $permissionName) => $q.when(user.roles.indexOf($permissionName) !== -1));
+    $permissionProvider.define('owner', ($params) => $params.ownerId === 'me');
+    $permissionProvider.unauthorizedState('forbidden');
+    $permissionProvider.loginState('login', () => user.loggedIn);
+
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({ name: 'login', url: '/login' });
+    $stateProvider.state({ name: 'forbidden', url: '/forbidden' });
+    $stateProvider.state({ name: 'admin', url: '/admin', data: { permissions: ['admin'] } });
+    $stateProvider.state({ name: 'admin.users', url: '/users' });
+    $stateProvider.state({ name: 'admin.audit', url: '/audit', data: { permissions: 'auditor' } });
+    $stateProvider.state({ name: 'profile', url: '/profile', data: { permissions: { only: ['user', 'admin'], except: 'suspended' } } });
+    $stateProvider.state({ name: 'document', url: '/document/:ownerId', data: { permissions: 'owner' } });
+  }));
+
+  beforeEach(inject((_$state_, _$permission_, _$pendingTarget_, _$q_) => {
+    $state = _$state_;
+    $permission = _$permission_;
+    $pendingTarget = _$pendingTarget_;
+    $q = _$q_;
+    $state.defaultErrorHandler(() => null);
+  }));
+
+  const go = (state: string, params?) => {
+    $state.go(state, params);
+    $q.flush();
+  };
+
+  it('allows the transition when the user has one of the permissions', () => {
+    go('profile');
+    expect($state.current.name).toBe('profile');
+  });
+
+  it('redirects to the unauthorized state when the user has an `except` permission', () => {
+    user.roles.push('suspended');
+    go('profile');
+    expect($state.current.name).toBe('forbidden');
+  });
+
+  it('redirects to the unauthorized state when the user lacks the permissions', () => {
+    go('admin');
+    expect($state.current.name).toBe('forbidden');
+  });
+
+  it('protects the child states of a protected state', () => {
+    go('admin.users');
+    expect($state.current.name).toBe('forbidden');
+
+    user.roles.push('admin');
+    go('admin.users');
+    expect($state.current.name).toBe('admin.users');
+  });
+
+  it('requires the permissions of the child state and of its ancestors', () => {
+    user.roles.push('admin');
+    go('admin.audit');
+    expect($state.current.name).toBe('forbidden');
+  });
+
+  it('injects the target parameter values into the resolvers', () => {
+    go('document', { ownerId: 'me' });
+    expect($state.current.name).toBe('document');
+
+    go('document', { ownerId: 'someone' });
+    expect($state.current.name).toBe('forbidden');
+  });
+
+  it('injects the $permission service, and the name of the permission as $permissionName, into the resolvers', () => {
+    let injected;
+    $permission.define('reviewer', ['$permission', '$permissionName', (service, name) => (injected = { service, name }, true)]);
+    $permission.hasPermission('reviewer');
+    $q.flush();
+
+    expect(injected.service === $permission).toBe(true);
+    expect(injected.name).toBe('reviewer');
+  });
+
+  it('redirects to the login state, and saves the original target as the pending target, when the user is not authenticated', () => {
+    user.loggedIn = false;
+    go('document', { ownerId: 'someone' });
+
+    expect($state.current.name).toBe('login');
+    expect($pendingTarget.target.name()).toBe('document');
+    expect($pendingTarget.target.params()).toEqualValues({ ownerId: 'someone' });
+    expect($permission.originalTarget.name()).toBe('document');
+    expect($permission.originalTarget.params()).toEqualValues({ ownerId: 'someone' });
+  });
+
+  it('checks if the user is authorized to activate a target state', () => {
+    let results = {};
+    $permission.authorize('admin.users').then(result => results['admin.users'] = result);
+    $permission.authorize('profile').then(result => results['profile'] = result);
+    $q.flush();
+
+    expect(results).toEqual({ 'admin.users': false, 'profile': true });
+  });
+
+  describe('without an unauthorized state', () => {
+    beforeEach(() => $permission.unauthorizedState(null));
+
+    it('cancels the transition', () => {
+      go('home');
+      go('admin');
+      expect($state.current.name).toBe('home');
+    });
+  });
+
+  describe('ui-sref-unauthorized', () => {
+    let $compile, scope;
+
+    beforeEach(inject((_$compile_, $rootScope) => {
+      $compile = _$compile_;
+      scope = $rootScope.$new();
+    }));
+
+    const link = (html: string) => {
+      let el = $compile(html)(scope);
+      scope.$digest();
+      $q.flush();
+      return el;
+    };
+
+    it('hides the link when the user is not authorized', () => {
+      let el = link('<div><a ui-sref="admin" ui-sref-unauthorized>Admin</a><a ui-sref="profile" ui-sref-unauthorized>Profile</a></div>');
+      expect(el.find('a').eq(0).hasClass('ng-hide')).toBe(true);
+      expect(el.find('a').eq(1).hasClass('ng-hide')).toBe(false);
+    });
+
+    it('hides the link until the permissions are checked', () => {
+      let el = $compile('<a ui-sref="profile" ui-sref-unauthorized>Profile</a>')(scope);
+      expect(el.hasClass('ng-hide')).toBe(true);
+
+      scope.$digest();
+      $q.flush();
+      expect(el.hasClass('ng-hide')).toBe(false);
+    });
+
+    it('shows the link again when the permissions are refreshed', () => {
+      let el = link('<a ui-sref="admin" ui-sref-unauthorized="hide">Admin</a>');
+      user.roles.push('admin');
+      $permission.refresh();
+      $q.flush();
+
+      expect(el.hasClass('ng-hide')).toBe(false);
+    });
+
+    it('does not check the permissions again after a transition to the same target', () => {
+      spyOn($permission, 'authorize').and.callThrough();
+      link('<a ui-sref="admin" ui-sref-unauthorized="hide">Admin</a>');
+      go('home');
+      go('profile');
+
+      expect($permission.authorize).toHaveBeenCalledTimes(1);
+    });
+
+    it('checks the permissions again when the parameter values change', () => {
+      scope.ownerId = 'me';
+      let el = link('<a ui-sref="document({ ownerId: ownerId })" ui-sref-unauthorized>Document</a>');
+      expect(el.hasClass('ng-hide')).toBe(false);
+
+      scope.ownerId = 'someone';
+      scope.$digest();
+      $q.flush();
+      expect(el.hasClass('ng-hide')).toBe(true);
+    });
+
+    it('disables the link, and ignores clicks, when the user is not authorized', inject(($timeout) => {
+      let el = link('<a ui-sref="admin" ui-sref-unauthorized="disable">Admin</a>');
+      expect(el.hasClass('disabled')).toBe(true);
+      expect(el.attr('aria-disabled')).toBe('true');
+
+      spyOn($state, 'go');
+      el.triggerHandler('click');
+      $timeout.flush(0);
+      expect($state.go).not.toHaveBeenCalled();
+    }));
+
+    it('hides or disables ui-state links', () => {
+      scope.target = 'admin';
+      let el = link('<a ui-state="target" ui-state-unauthorized="disable">Target</a>');
+      expect(el.hasClass('disabled')).toBe(true);
+
+      scope.target = 'profile';
+      scope.$digest();
+      $q.flush();
+      expect(el.hasClass('disabled')).toBe(false);
+    });
+  });
+});
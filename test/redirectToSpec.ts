@@ -0,0 +1,96 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('redirectTo', () => {
+  let $state: StateService, $q, projects: { [id: string]: { status: string } }, fetched: number;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    projects = { '1': { status: 'new' }, '2': { status: 'active' } };
+    fetched = 0;
+
+    $stateProvider.state({
+      name: 'project',
+      url: '/project/:projectId',
+      resolve: { project: ($q, $transition$) => (fetched++, $q.when(projects[$transition$.params().projectId])) },
+      redirectTo: ['project', (project) => project.status === 'new' ? 'project.setup' : 'project.overview'],
+    });
+    $stateProvider.state({ name: 'project.setup', url: '/setup' });
+    $stateProvider.state({ name: 'project.overview', url: '/overview' });
+    $stateProvider.state({
+      name: 'annotated',
+      redirectTo: ['$state', '$state$', '$transition$', ($state, $state$, $transition$) =>
+          $state.target('project', { projectId: $state$.data.projectId + $transition$.params().suffix })],
+      params: { suffix: '' },
+      data: { projectId: '1' },
+    });
+    $stateProvider.state({ name: 'transition', redirectTo: (trans) => ({ state: 'project', params: { projectId: trans.params().id } }), params: { id: null } });
+    $stateProvider.state({ name: 'string', redirectTo: 'home' });
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({ name: 'unannotated', redirectTo: (project) => project.params().home && 'home', params: { home: false } });
+    let injected = ($state$) => $state$.data.target;
+    injected['$inject'] = ['$state$'];
+    $stateProvider.state({ name: 'injected', redirectTo: injected, data: { target: 'home' } });
+    $stateProvider.state({ name: 'none', redirectTo: ['$transition$', () => null] });
+  }));
+
+  beforeEach(inject((_$state_, _$q_) => {
+    $state = _$state_;
+    $q = _$q_;
+  }));
+
+  const go = (state: string, params?) => {
+    $state.go(state, params);
+    $q.flush();
+  };
+
+  it('injects the resolve data of the state', () => {
+    go('project', { projectId: '1' });
+    expect($state.current.name).toBe('project.setup');
+
+    go('project', { projectId: '2' });
+    expect($state.current.name).toBe('project.overview');
+  });
+
+  it('fetches the injected resolves once', () => {
+    go('project', { projectId: '1' });
+    expect(fetched).toBe(1);
+  });
+
+  it('injects services, $state$ and $transition$ into an array annotated function', () => {
+    go('annotated', { suffix: '' });
+    expect($state.current.name).toBe('project.setup');
+    expect($state.params['projectId']).toBe('1');
+  });
+
+  it('invokes a function of the transition', () => {
+    go('transition', { id: '2' });
+    expect($state.current.name).toBe('project.overview');
+  });
+
+  it('invokes a function without annotations with the transition', () => {
+    go('unannotated', { home: true });
+    expect($state.current.name).toBe('home');
+  });
+
+  it('injects into a function with an $inject array', () => {
+    go('injected');
+    expect($state.current.name).toBe('home');
+  });
+
+  it('does not redirect when an injectable function returns nothing', () => {
+    go('none');
+    expect($state.current.name).toBe('none');
+  });
+
+  it('redirects to a state name', () => {
+    go('string');
+    expect($state.current.name).toBe('home');
+  });
+});
@@ -0,0 +1,200 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+import { ResolveCache } from "../src/resolveCache";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('resolve cache', () => {
+  let $state: StateService, $q, $resolveCache: ResolveCache, fetched: string[], deferreds, updates: any[];
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    fetched = [];
+    const fetch = (name: string, value?: any) => () => { fetched.push(name); return value || name; };
+
+    $stateProvider.state({
+      name: 'users',
+      params: { page: 1 },
+      resolve: { users: fetch('users'), plain: fetch('plain') },
+      resolvePolicy: { users: { cache: { key: params => params['page'] } } },
+    });
+    $stateProvider.state({
+      name: 'users.detail',
+      params: { id: null },
+      resolve: [
+        { token: 'user', deps: ['$transition$'], resolveFn: trans => fetch('user ' + trans.params().id)(), policy: { cache: { ttl: 1000 } } },
+      ],
+    });
+    $stateProvider.state({
+      name: 'failing',
+      resolve: { data: () => { fetched.push('failing'); return $q.reject('failed'); } },
+      resolvePolicy: { data: { cache: {} } },
+    });
+    $stateProvider.state({ name: 'home', template: 'home' });
+
+    deferreds = [];
+    updates = [];
+    $stateProvider.state({
+      name: 'list',
+      resolve: { list: () => { let deferred = $q.defer(); deferreds.push(deferred); return deferred.promise; } },
+      resolvePolicy: { list: { cache: { staleWhileRevalidate: true, placeholder: [] } } },
+      template: '{{ $resolve.list.length }}',
+      controller: function () { this.uiOnResolveUpdated = changes => updates.push(changes); },
+    });
+  }));
+
+  beforeEach(inject((_$state_, _$q_, _$resolveCache_) => {
+    $state = _$state_;
+    $q = _$q_;
+    $resolveCache = _$resolveCache_;
+  }));
+
+  const go = (state: string, params?: any, options?: any) => {
+    let trans = $state.go(state, params, options).transition;
+    $q.flush();
+    return trans;
+  };
+
+  it('uses the cached data when the state is entered again', () => {
+    go('users');
+    go('home');
+    let trans = go('users');
+
+    expect(fetched).toEqual(['users', 'plain', 'plain']);
+    expect(trans.injector().get('users')).toBe('users');
+  });
+
+  it('caches the data by the cache key', () => {
+    go('users', { page: 1 });
+    go('users', { page: 2 });
+    go('users', { page: 1 });
+
+    expect(fetched.filter(name => name === 'users').length).toBe(2);
+  });
+
+  it('uses all the parameter values as the default cache key', () => {
+    go('users.detail', { id: 1 });
+    go('users.detail', { id: 2 });
+    go('users.detail', { id: 1 });
+
+    expect(fetched.filter(name => name.indexOf('user ') === 0)).toEqual(['user 1', 'user 2']);
+  });
+
+  it('fetches the data again when the cached data expires', () => {
+    spyOn(Date, 'now').and.returnValue(0);
+    go('users.detail', { id: 1 });
+    go('home');
+    (<any> Date.now).and.returnValue(1001);
+    go('users.detail', { id: 1 });
+
+    expect(fetched.filter(name => name.indexOf('user ') === 0)).toEqual(['user 1', 'user 1']);
+  });
+
+  it('fetches the data again when it is invalidated', () => {
+    go('users.detail', { id: 1 });
+    go('home');
+    $resolveCache.invalidate('users');
+    go('users.detail', { id: 1 });
+
+    expect(fetched).toEqual(['users', 'plain', 'user 1', 'users', 'plain']);
+  });
+
+  it('invalidates the data of a cache key', () => {
+    go('users', { page: 1 });
+    go('users', { page: 2 });
+    go('home');
+    $resolveCache.invalidate('users', 2);
+    go('users', { page: 1 });
+    go('users', { page: 2 });
+
+    expect(fetched.filter(name => name === 'users').length).toBe(3);
+  });
+
+  it('fetches the data again when the state is reloaded', () => {
+    go('users');
+    $state.reload();
+    $q.flush();
+
+    expect(fetched.filter(name => name === 'users').length).toBe(2);
+  });
+
+  it('does not cache a resolve which fails', () => {
+    $state.defaultErrorHandler(() => null);
+    go('failing');
+    go('failing');
+
+    expect(fetched).toEqual(['failing', 'failing']);
+  });
+
+  describe('stale while revalidate', () => {
+    let $timeout;
+
+    beforeEach(inject((_$timeout_, $compile, $rootScope) => {
+      $timeout = _$timeout_;
+      $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+    }));
+
+    const enter = (state: string) => {
+      let trans = go(state);
+      $timeout.flush();
+      return trans;
+    };
+
+    it('enters the state using the placeholder, and updates the data after it is fetched', () => {
+      let trans = enter('list');
+      expect($state.current.name).toBe('list');
+      expect(trans.injector().get('list')).toEqual([]);
+
+      deferreds[0].resolve(['a']);
+      $q.flush();
+
+      expect(updates).toEqual([{ list: ['a'] }]);
+      expect(trans.injector().get('list')).toEqual(['a']);
+    });
+
+    it('enters the state using the stale data, and revalidates it', () => {
+      enter('list');
+      deferreds[0].resolve(['a']);
+      $q.flush();
+      enter('home');
+
+      let trans = enter('list');
+      expect(trans.injector().get('list')).toEqual(['a']);
+      expect(deferreds.length).toBe(2);
+
+      deferreds[1].resolve(['a', 'b']);
+      $q.flush();
+
+      expect(updates).toEqual([{ list: ['a'] }, { list: ['a', 'b'] }]);
+    });
+
+    it('keeps the stale data when the revalidation fails', () => {
+      enter('list');
+      deferreds[0].resolve(['a']);
+      $q.flush();
+      enter('home');
+
+      enter('list');
+      deferreds[1].reject('failed');
+      $q.flush();
+      enter('home');
+
+      let trans = enter('list');
+      expect(trans.injector().get('list')).toEqual(['a']);
+      expect(updates).toEqual([{ list: ['a'] }]);
+    });
+
+    it('does not call the callback of a view which is no longer active', () => {
+      enter('list');
+      enter('home');
+      deferreds[0].resolve(['a']);
+      $q.flush();
+
+      expect(updates).toEqual([]);
+    });
+  });
+});
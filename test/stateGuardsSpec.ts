@@ -0,0 +1,145 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('state guards', () => {
+  let $state: StateService, $q, $location, $rootScope, log: string[], allow: { [key: string]: any };
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    log = [];
+    allow = { admin: true, editor: true, dashboard: false };
+
+    $stateProvider.state({ name: 'home', url: '/home' });
+    $stateProvider.state({ name: 'login', url: '/login' });
+    $stateProvider.state({ name: 'admin', url: '/admin', canActivate: () => (log.push('admin'), allow.admin) });
+    $stateProvider.state({ name: 'admin.users', url: '/users', canActivate: [() => (log.push('users'), true)] });
+    $stateProvider.state({ name: 'secure', canActivate: ($state) => $state.target('login') });
+    $stateProvider.state({ name: 'async', canActivate: ($q) => $q.when(false) });
+    $stateProvider.state({
+      name: 'profile',
+      resolve: { user: ($q) => (log.push('fetch user'), $q.when({ admin: allow.admin })) },
+      canActivate: (user) => (log.push('guard ' + user.admin), user.admin),
+    });
+    $stateProvider.state({ name: 'editor', canDeactivate: ($state$) => (log.push('leave ' + $state$.name), allow.editor) });
+    $stateProvider.state({ name: 'adminDashboard', url: '/dashboard', canMatch: ($params) => allow.dashboard && !!$params });
+    $stateProvider.state({ name: 'dashboard', url: '/dashboard' });
+    $stateProvider.state({ name: 'reports', url: '/reports', canMatch: ($q) => $q.when(true) });
+  }));
+
+  beforeEach(inject((_$state_, _$q_, _$location_, _$rootScope_) => {
+    $state = _$state_;
+    $q = _$q_;
+    $location = _$location_;
+    $rootScope = _$rootScope_;
+    $state.defaultErrorHandler(() => null);
+  }));
+
+  const go = (state: string) => {
+    $state.go(state);
+    $q.flush();
+  };
+
+  describe('canActivate', () => {
+    it('allows the transition when the guards return true', () => {
+      go('admin');
+      expect($state.current.name).toBe('admin');
+      expect(log).toEqual(['admin']);
+    });
+
+    it('cancels the transition when a guard returns false', () => {
+      allow.admin = false;
+      go('admin');
+      expect($state.current.name).toBe('');
+    });
+
+    it('redirects the transition when a guard returns a TargetState', () => {
+      go('secure');
+      expect($state.current.name).toBe('login');
+    });
+
+    it('waits for a guard which returns a promise', () => {
+      go('async');
+      expect($state.current.name).toBe('');
+    });
+
+    it('fetches the resolves which a guard injects before invoking it', () => {
+      go('profile');
+      expect($state.current.name).toBe('profile');
+      expect(log).toEqual(['fetch user', 'guard true']);
+    });
+
+    it('cancels the transition when a guard rejects the injected resolve data', () => {
+      allow.admin = false;
+      go('profile');
+      expect($state.current.name).toBe('');
+      expect(log).toEqual(['fetch user', 'guard false']);
+    });
+
+    it('invokes the guards of the ancestors, from the outermost state, once', () => {
+      go('admin.users');
+      expect(log).toEqual(['admin', 'users']);
+    });
+
+    it('inherits the guards when the parent state is already active', () => {
+      go('admin');
+      allow.admin = false;
+      go('admin.users');
+
+      expect($state.current.name).toBe('admin');
+      expect(log).toEqual(['admin', 'admin']);
+    });
+  });
+
+  describe('canDeactivate', () => {
+    it('allows exiting the state when the guards return true', () => {
+      go('editor');
+      go('home');
+
+      expect($state.current.name).toBe('home');
+      expect(log).toEqual(['leave editor']);
+    });
+
+    it('cancels the transition when a guard returns false', () => {
+      go('editor');
+      allow.editor = false;
+      go('home');
+
+      expect($state.current.name).toBe('editor');
+    });
+
+    it('is invoked before the canActivate guards', () => {
+      go('editor');
+      go('admin');
+      expect(log).toEqual(['leave editor', 'admin']);
+    });
+  });
+
+  describe('canMatch', () => {
+    const sync = (url: string) => {
+      $location.url(url);
+      $rootScope.$digest();
+      $q.flush();
+    };
+
+    it('matches the url to the other states when a guard does not allow the match', () => {
+      sync('/dashboard');
+      expect($state.current.name).toBe('dashboard');
+    });
+
+    it('matches the url to the state when the guards allow the match', () => {
+      allow.dashboard = true;
+      sync('/dashboard');
+      expect($state.current.name).toBe('adminDashboard');
+    });
+
+    it('throws when a guard returns a promise', () => {
+      expect(() => sync('/reports')).toThrowError(/canMatch guard of state 'reports' returned a promise/);
+    });
+  });
+});
@@ -0,0 +1,172 @@
+import * as angular from "angular";
+import "./util/matchers";
+import { StateService } from "@uirouter/core";
+import { StatePreload } from "../src/statePreload";
+
+declare var inject;
+
+let module = angular['mock'].module;
+
+describe('$statePreload', () => {
+  let $state: StateService, $statePreload: StatePreload, $httpBackend, $q, log: string[];
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(($stateProvider) => {
+    log = [];
+    $stateProvider.state({ name: 'home', url: '/home', template: 'home' });
+    $stateProvider.state({
+      name: 'users',
+      url: '/users/:id',
+      templateUrl: 'users.html',
+      controllerProvider: () => { log.push('controllerProvider'); return 'UsersCtrl'; },
+      resolve: [
+        { token: 'user', policy: { when: 'EAGER' }, resolveFn: () => { log.push('user'); return { name: 'bob' }; } },
+      ],
+    });
+  }));
+
+  beforeEach(module(($controllerProvider) => {
+    $controllerProvider.register('UsersCtrl', function UsersCtrl() {});
+  }));
+
+  beforeEach(inject((_$state_, _$statePreload_, _$httpBackend_, _$q_, $compile, $rootScope) => {
+    $state = _$state_;
+    $statePreload = _$statePreload_;
+    $httpBackend = _$httpBackend_;
+    $q = _$q_;
+    $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+  }));
+
+  afterEach(() => {
+    $httpBackend.verifyNoOutstandingExpectation();
+    $httpBackend.verifyNoOutstandingRequest();
+  });
+
+  it('loads the templates and controllerProvider of the target state', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    expect(log).toEqual(['controllerProvider']);
+  });
+
+  it('does not preload the same target twice', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    let promise1 = $statePreload.preload('users', { id: 1 });
+    let promise2 = $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    expect(promise1).toBe(promise2);
+    expect(log).toEqual(['controllerProvider']);
+  });
+
+  it('reuses the preloaded views when transitioning to the target state', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    $state.go('users', { id: 1 });
+    $q.flush();
+
+    expect($state.current.name).toBe('users');
+    expect(log).toEqual(['controllerProvider', 'user']);
+  });
+
+  it('does not reuse the preloaded views for different parameter values', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    $state.go('users', { id: 2 });
+    $q.flush();
+
+    expect($state.current.name).toBe('users');
+    expect(log).toEqual(['controllerProvider', 'user', 'controllerProvider']);
+  });
+
+  it('does not reuse the preloaded views after they expire', () => {
+    spyOn(Date, 'now').and.returnValue(0);
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    (<any> Date.now).and.returnValue(30001);
+    $state.go('users', { id: 1 });
+    $q.flush();
+
+    expect($state.current.name).toBe('users');
+    expect(log).toEqual(['controllerProvider', 'user', 'controllerProvider']);
+  });
+
+  it('preloads the target again after the preloaded views expire', () => {
+    spyOn(Date, 'now').and.returnValue(0);
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    let promise1 = $statePreload.preload('users', { id: 1 });
+    $httpBackend.flush();
+
+    (<any> Date.now).and.returnValue(30001);
+    let promise2 = $statePreload.preload('users', { id: 1 });
+    $q.flush();
+
+    expect(promise1).not.toBe(promise2);
+    expect(log).toEqual(['controllerProvider', 'controllerProvider']);
+  });
+
+  it('preloads and reuses EAGER resolves when the `resolves` option is set', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 }, { resolves: true });
+    $httpBackend.flush();
+    expect(log.sort()).toEqual(['controllerProvider', 'user']);
+
+    $state.go('users', { id: 1 });
+    $q.flush();
+
+    expect($state.current.name).toBe('users');
+    expect(log.sort()).toEqual(['controllerProvider', 'user']);
+  });
+
+  it('does not reuse the preloaded resolves when the transition reloads the state', () => {
+    $httpBackend.expectGET('users.html').respond(200, 'users!');
+    $statePreload.preload('users', { id: 1 }, { resolves: true });
+    $httpBackend.flush();
+
+    $state.go('users', { id: 1 }, { reload: true });
+    $q.flush();
+
+    expect($state.current.name).toBe('users');
+    expect(log.filter(x => x === 'user').length).toBe(2);
+  });
+
+  it('rejects when the target state is invalid', () => {
+    let error;
+    $statePreload.preload('nonexistent').catch(err => error = err);
+    $q.flush();
+
+    expect(error).toBeDefined();
+  });
+
+  describe('ui-sref-preload', () => {
+    let el, scope;
+
+    beforeEach(inject(($compile, $rootScope) => {
+      scope = $rootScope.$new();
+      el = angular.element('<a ui-sref="users({ id: 1 })" ui-sref-preload>Users</a>');
+      $compile(el)(scope);
+      scope.$digest();
+    }));
+
+    it('preloads the linked state on focus', () => {
+      $httpBackend.expectGET('users.html').respond(200, 'users!');
+      el.triggerHandler('focus');
+      $httpBackend.flush();
+
+      expect(log).toEqual(['controllerProvider']);
+    });
+
+    it('does not preload when the trigger does not fire', () => {
+      scope.$digest();
+      expect(log).toEqual([]);
+    });
+  });
+});
@@ -1,5 +1,6 @@
 import * as angular from "angular";
 import { UIRouter } from '@uirouter/core';
+import { TemplateFactory } from '../src/templateFactory';
 
 declare let inject;
 
@@ -85,6 +86,96 @@ describe('templateFactory', function () {
     }));
   });
 
+  describe('template bundles', function () {
+    let bundle = { url: '/bundles/admin.json', templates: 'admin/', state: 'admin.**' };
+
+    beforeEach(function() {
+      angular
+          .module('templateBundles', [])
+          .config(function($templateFactoryProvider, $stateProvider) {
+            $templateFactoryProvider.bundle(bundle);
+            $stateProvider.state({ name: 'admin', url: '/admin', template: '<ui-view></ui-view>' });
+            $stateProvider.state({ name: 'admin.users', url: '/users', templateUrl: 'admin/users.html' });
+          });
+      module('ui.router');
+      module('templateBundles');
+    });
+
+    afterEach(inject(function($httpBackend) {
+      $httpBackend.verifyNoOutstandingExpectation();
+      $httpBackend.verifyNoOutstandingRequest();
+    }));
+
+    it('fetches the bundle once and serves its templates from the $templateCache', inject(function($templateFactory, $templateCache, $httpBackend) {
+      let results = [];
+      $httpBackend.expectGET('/bundles/admin.json').respond(200, { 'admin/users.html': 'users!', 'admin/roles.html': 'roles!' });
+      $templateFactory.fromUrl('admin/users.html').then(tpl => results.push(tpl));
+      $templateFactory.fromUrl('admin/roles.html').then(tpl => results.push(tpl));
+      $httpBackend.flush();
+
+      expect(results).toEqual(['users!', 'roles!']);
+      expect($templateCache.get('admin/roles.html')).toBe('roles!');
+    }));
+
+    it('does not load the bundle for urls which are not in it', inject(function($templateFactory, $httpBackend) {
+      $httpBackend.expectGET('views/view.html').respond(200, 'template!');
+      $templateFactory.fromUrl('views/view.html');
+      $httpBackend.flush();
+    }));
+
+    it('falls back to fetching the template if the bundle fails to load', inject(function($templateFactory, $httpBackend) {
+      let result;
+      $httpBackend.expectGET('/bundles/admin.json').respond(404);
+      $httpBackend.expectGET('admin/users.html').respond(200, 'users!');
+      $templateFactory.fromUrl('admin/users.html').then(tpl => result = tpl);
+      $httpBackend.flush();
+
+      expect(result).toBe('users!');
+    }));
+
+    it('does not request a failed bundle again until the next transition starts', inject(function($templateFactory, $state, $httpBackend) {
+      $httpBackend.expectGET('/bundles/admin.json').respond(404);
+      $httpBackend.expectGET('admin/users.html').respond(200, 'users!');
+      $templateFactory.fromUrl('admin/users.html');
+      $httpBackend.flush();
+
+      $httpBackend.expectGET('admin/roles.html').respond(200, 'roles!');
+      $templateFactory.fromUrl('admin/roles.html');
+      $httpBackend.flush();
+
+      $httpBackend.expectGET('/bundles/admin.json').respond(200, { 'admin/users.html': 'users!' });
+      $state.go('admin.users');
+      $httpBackend.flush();
+
+      expect($state.current.name).toBe('admin.users');
+    }));
+
+    it('prefetches the bundle when the state subtree is entered', inject(function($state, $templateCache, $httpBackend, $compile, $rootScope) {
+      $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+      $httpBackend.expectGET('/bundles/admin.json').respond(200, { 'admin/users.html': 'users!' });
+      $state.go('admin.users');
+      $rootScope.$digest();
+      expect($state.current.name).toBe('');
+
+      $httpBackend.flush(1);
+      $httpBackend.verifyNoOutstandingExpectation();
+      $httpBackend.verifyNoOutstandingRequest();
+
+      expect($state.current.name).toBe('admin.users');
+      expect($templateCache.get('admin/users.html')).toBe('users!');
+    }));
+
+    it('throws if a bundle has neither a url nor a loader', function () {
+      let error = 'No error thrown';
+      try {
+        new TemplateFactory().bundle(<any> { templates: 'admin/' });
+      } catch (e) {
+        error = e.message;
+      }
+      expect(error).toMatch(/url.*loader/);
+    });
+  });
+
   if (angular.version.minor >= 5) {
     describe('component template builder', () => {
       let router: UIRouter, el, rootScope;
@@ -95,6 +186,7 @@ describe('templateFactory', function () {
         mod.component('myComponent', cmp);
         mod.component('dataComponent', cmp);
         mod.component('xComponent', cmp);
+        mod.component('boundComponent', { bindings: { input: '<', label: '@' }, template: '{{ $ctrl.label }}' });
       });
       beforeEach(module('foo'));
 
@@ -123,7 +215,21 @@ describe('templateFactory', function () {
         router.stateService.go('cmp');
         rootScope.$digest();
         expect(el.html()).toMatch(/\<x-x-component/);
-      })
+      });
+
+      it('should bind the inputs once, by default', () => {
+        router.stateRegistry.register({ name: 'cmp', component: 'boundComponent', resolve: { input: () => 1, label: () => 'a' } });
+        router.stateService.go('cmp');
+        rootScope.$digest();
+        expect(el.html()).toContain(`input="::$resolve.input"`);
+      });
+
+      it('should bind the inputs using watched bindings, when the bindingMode is live', () => {
+        router.stateRegistry.register({ name: 'cmp', component: 'boundComponent', bindingMode: 'live', resolve: { input: () => 1, label: () => 'a' } });
+        router.stateService.go('cmp');
+        rootScope.$digest();
+        expect(el.html()).toContain(`input="$resolve.input"`);
+      });
     });
   }
 });
\ No newline at end of file
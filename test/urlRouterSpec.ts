@@ -290,4 +290,151 @@ describe("UrlRouter", function () {
     });
   });
 
+  describe("normalize", function() {
+    let $rootScope, $state, evaluated: { rule: number, canMatch: number };
+
+    beforeEach(function() {
+      angular.module('ui.router.router.test', []).config(function ($uiRouterProvider, $stateProvider) {
+        $urp = $uiRouterProvider.urlRouterProvider;
+        evaluated = { rule: 0, canMatch: 0 };
+        $stateProvider.state({ name: 'products', url: '/products?{page:int}&q&tag', params: { page: 1 } });
+        $stateProvider.state({ name: 'products.detail', url: '/{id}' });
+        $stateProvider.state({ name: 'account', url: '/account?{page:int}', params: { page: 1 }, canMatch: () => !!++evaluated.canMatch });
+        $urp.rule(function ($injector, $location) { evaluated.rule++; return null; });
+        $urp.normalize({ trailingSlash: 'strip', lowercase: true, stripEmptyParams: true, stripDefaultParams: true, sortQuery: true });
+      });
+
+      module('ui.router', 'ui.router.router.test');
+
+      inject(function(_$rootScope_, $location, _$state_) {
+        $rootScope = _$rootScope_;
+        location = $location;
+        $state = _$state_;
+      });
+    });
+
+    const sync = (url: string) => {
+      location.url(url);
+      $rootScope.$digest();
+    };
+
+    it("replaces a non-canonical url with the canonical url", function() {
+      spyOn(location, 'replace').and.callThrough();
+      sync('/Products/?tag=b&q=&page=1&tag=a&tag=b');
+
+      expect(location.url()).toBe('/products?tag=b&tag=a');
+      expect(location.replace).toHaveBeenCalled();
+      expect($state.current.name).toBe('products');
+      expect($state.params['page']).toBe(1);
+    });
+
+    it("does not change a canonical url", function() {
+      spyOn(location, 'replace').and.callThrough();
+      sync('/products?page=2&q=shoes');
+
+      expect(location.url()).toBe('/products?page=2&q=shoes');
+      expect(location.replace).not.toHaveBeenCalled();
+      expect($state.params['q']).toBe('shoes');
+    });
+
+    it("keeps the case of the parameter values", function() {
+      sync('/Products/AbC-12');
+
+      expect(location.url()).toBe('/products/AbC-12');
+      expect($state.current.name).toBe('products.detail');
+      expect($state.params['id']).toBe('AbC-12');
+    });
+
+    it("does not evaluate the rules which match using a function, nor the canMatch guards, to normalize the url", function() {
+      sync('/Account/?page=1');
+
+      expect(location.url()).toBe('/account');
+      expect($state.current.name).toBe('account');
+      expect(evaluated).toEqual({ rule: 1, canMatch: 1 });
+    });
+
+    it("runs custom steps after the built in steps", function() {
+      $urp.normalize(url => angular.extend({}, url, { search: angular.extend({}, url.search, { q: 'all' }) }));
+      sync('/PRODUCTS');
+
+      expect(location.url()).toBe('/products?q=all');
+    });
+  });
+
+  describe("describe and dryRun", function() {
+    let $urlRouter: UrlRouter, evaluated: boolean;
+
+    beforeEach(function() {
+      angular.module('ui.router.router.test', []).config(function ($uiRouterProvider, $stateProvider) {
+        $urp = $uiRouterProvider.urlRouterProvider;
+        $stateProvider.state({ name: 'products', url: '/products' });
+        $stateProvider.state({ name: 'products.detail', url: '/{id}?tab' });
+        $stateProvider.state({ name: 'products.new', url: '/new' });
+        $urp.when('/old/:id', '/products/:id');
+        evaluated = false;
+        $urp.rule(function ($injector, $location) { evaluated = true; return null; });
+        $urp.otherwise('/products');
+      });
+
+      module('ui.router', 'ui.router.router.test');
+
+      inject(function(_$urlRouter_) {
+        $urlRouter = _$urlRouter_;
+      });
+    });
+
+    it("lists the rules in priority order, with their source, pattern and target", function() {
+      let table = $urlRouter.describe().map(rule => [rule.source, rule.pattern, rule.target]);
+
+      expect(table).toEqual([
+        ['rule', null, null],
+        ['state', '/products', 'products'],
+        ['state', '/products/new', 'products.new'],
+        ['state', '/products/{id}?tab', 'products.detail'],
+        ['when', '/old/:id', '/products/:id'],
+        ['otherwise', null, '/products'],
+      ]);
+    });
+
+    it("reports the rule which would win, and why", function() {
+      let report = $urlRouter.dryRun('/products/new?tab=a+b');
+
+      expect(report.description.target).toBe('products.new');
+      expect(report.match).toEqual({});
+      expect(report.candidates.map(candidate => candidate.description.source)).toEqual(['state', 'state', 'otherwise']);
+      expect(report.reason).toContain("state 'products.new' (/products/new) sorts before the other matching rules");
+
+      report = $urlRouter.dryRun('/products/42?tab=a+b');
+      expect(report.match).toEqual({ id: '42', tab: 'a b' });
+      expect(report.reason).toBe("state 'products.detail' (/products/{id}?tab) is the only rule which matches the url");
+    });
+
+    it("reports the otherwise rule when no rule matches", function() {
+      let report = $urlRouter.dryRun('/nothing');
+
+      expect(report.description.source).toBe('otherwise');
+      expect(report.reason).toBe("No rule matches the url, so the otherwise (/products) rule handles it");
+    });
+
+    it("does not handle the url", inject(function($location) {
+      $urlRouter.dryRun('/old/1');
+      expect($location.url()).toBe('');
+    }));
+
+    it("does not evaluate the rules which match using a function", function() {
+      let report = $urlRouter.dryRun('/products/42');
+
+      expect(evaluated).toBe(false);
+      expect(report.skipped.map(description => description.source)).toEqual(['rule']);
+      expect(report.description.target).toBe('products.detail');
+    });
+
+    it("keeps the match() of the UrlRouter", function() {
+      let best = $urlRouter.match({ path: '/products/42', search: {}, hash: '' });
+
+      expect(best.rule.type).toBe('STATE');
+      expect(best.match).toEqual({ id: '42', tab: undefined });
+    });
+  });
+
 });
@@ -331,6 +331,65 @@ describe('uiView', function () {
     }));
   });
 
+  describe('accessibility', function () {
+    let title;
+
+    beforeEach(function () {
+      title = document.title;
+      document.title = 'Page title';
+      $stateProvider.state('page', { template: '<p>Intro</p><h2>Page heading</h2>' });
+      angular.element(document.body).append(elem);
+    });
+
+    afterEach(function () {
+      document.title = title;
+      elem.remove();
+      angular.element(document.querySelectorAll('.ui-view-announcer')).remove();
+    });
+
+    function go(state, $state, $q, $animate) {
+      $state.transitionTo(state);
+      $q.flush();
+      animateFlush($animate);
+    }
+
+    it('should focus the first heading of the new view and announce the title when enabled',
+        inject(function ($state, $q, $animate, $timeout, $uiViewAccessibility) {
+      $uiViewAccessibility.enable();
+      elem.append($compile('<div><ui-view></ui-view></div>')(scope));
+      go(aState, $state, $q, $animate);
+      go('page', $state, $q, $animate);
+      // The focus is moved in a $timeout, which (depending on the angular version) may have run already
+      $timeout.flush(0);
+
+      let heading = elem.find('h2')[0];
+      expect(document.activeElement).toBe(heading);
+      expect(heading.getAttribute('tabindex')).toBe('-1');
+
+      let liveRegion = document.querySelector('.ui-view-announcer');
+      expect(liveRegion.getAttribute('aria-live')).toBe('polite');
+      expect(liveRegion.textContent).toBe('Page title');
+    }));
+
+    it('should not move focus for the initial transition', inject(function ($state, $q, $animate, $uiViewAccessibility) {
+      $uiViewAccessibility.enable();
+      elem.append($compile('<div><ui-view></ui-view></div>')(scope));
+      go('page', $state, $q, $animate);
+
+      expect(document.activeElement).not.toBe(elem.find('h2')[0]);
+      expect(document.querySelector('.ui-view-announcer')).toBeNull();
+    }));
+
+    it('should do nothing unless enabled', inject(function ($state, $q, $animate) {
+      elem.append($compile('<div><ui-view></ui-view></div>')(scope));
+      go(aState, $state, $q, $animate);
+      go('page', $state, $q, $animate);
+
+      expect(document.activeElement).not.toBe(elem.find('h2')[0]);
+      expect(document.querySelector('.ui-view-announcer')).toBeNull();
+    }));
+  });
+
   it('should instantiate a controller with controllerAs', inject(function($state, $q) {
     elem.append($compile('<div><ui-view></ui-view></div>')(scope));
     $state.transitionTo(kState);
@@ -760,6 +819,327 @@ describe("UiView", function() {
   }));
 });
 
+describe('uiView error fallback', function() {
+  let elem, $state, $q;
+  let rejectWith = (error) => ['$q', ($q) => $q.reject(error)];
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(function($stateProvider) {
+    $stateProvider
+      .state('dashboard', {
+        views: {
+          news: { template: 'NEWS' },
+          stocks: { templateProvider: rejectWith({ status: 404 }), errorTemplate: 'STOCKS FAILED: {{ $error.status }}' },
+        },
+      })
+      .state('weather', {
+        views: {
+          news: { template: 'NEWS' },
+          stocks: { templateProvider: rejectWith(new Error('oops')), errorTemplate: (error) => 'ERROR: ' + error.message },
+        },
+      })
+      .state('broken', {
+        views: {
+          news: { template: 'NEWS' },
+          stocks: { controller: function() {}, controllerProvider: rejectWith({ status: 500 }), template: 'STOCKS' },
+        },
+      });
+  }));
+
+  beforeEach(inject(function($rootScope, $compile, _$state_, _$q_) {
+    $state = _$state_;
+    $q = _$q_;
+    elem = $compile('<div><ui-view name="news" class="news"></ui-view><ui-view name="stocks" class="stocks"></ui-view></div>')($rootScope.$new());
+  }));
+
+  it('renders the errorTemplate in the failed view, and the other views normally', function() {
+    $state.go('dashboard');
+    $q.flush();
+
+    expect($state.current.name).toBe('dashboard');
+    expect(elem[0].querySelector('.news').textContent).toBe('NEWS');
+    expect(elem[0].querySelector('.stocks').textContent).toBe('STOCKS FAILED: 404');
+  });
+
+  it('calls an errorTemplate function with the error', function() {
+    $state.go('weather');
+    $q.flush();
+
+    expect($state.current.name).toBe('weather');
+    expect(elem[0].querySelector('.stocks').textContent).toBe('ERROR: oops');
+  });
+
+  it('fails the transition when the view has no error fallback', function() {
+    $state.defaultErrorHandler(function() {});
+    $state.go('broken');
+    $q.flush();
+
+    expect($state.current.name).toBe('');
+  });
+
+  it('renders the error-template attribute of the ui-view', inject(function($rootScope, $compile) {
+    elem = $compile('<div><ui-view name="stocks" class="stocks" error-template="ATTR: {{ $error.status }}"></ui-view></div>')($rootScope.$new());
+    $state.go('broken');
+    $q.flush();
+
+    expect($state.current.name).toBe('broken');
+    expect(elem[0].querySelector('.stocks').textContent).toBe('ATTR: 500');
+  }));
+});
+
+describe('uiView loading placeholder', function() {
+  let elem, $state, $q, deferred, homeCtrls;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(function($stateProvider) {
+    $stateProvider
+      .state('home', { template: 'HOME', controller: function() { homeCtrls.push(this); } })
+      .state('slow', {
+        template: 'SLOW: {{ $resolve.data }}',
+        loadingTemplate: 'LOADING...',
+        resolve: { data: () => deferred.promise },
+      })
+      .state('plain', {
+        template: 'PLAIN',
+        resolve: { data: () => deferred.promise },
+      });
+  }));
+
+  beforeEach(inject(function($rootScope, $compile, _$state_, _$q_) {
+    $state = _$state_;
+    $q = _$q_;
+    deferred = $q.defer();
+    homeCtrls = [];
+    elem = $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+    $state.go('home');
+    $q.flush();
+  }));
+
+  const placeholder = () => elem[0].querySelector('.ui-view-loading');
+
+  it('renders the loadingTemplate next to the current content while the transition is pending', function() {
+    $state.go('slow');
+    $q.flush();
+    expect(placeholder().textContent).toBe('LOADING...');
+    expect(elem.text()).toBe('HOMELOADING...');
+
+    deferred.resolve('done');
+    $q.flush();
+    expect($state.current.name).toBe('slow');
+    expect(placeholder()).toBeNull();
+    expect(elem.text()).toBe('SLOW: done');
+  });
+
+  it('keeps the current view (and its controller) when the transition fails', function() {
+    $state.defaultErrorHandler(function() {});
+    let homeScope = angular.element(elem.children()[0]).scope();
+    $state.go('slow');
+    $q.flush();
+    expect(placeholder().textContent).toBe('LOADING...');
+
+    deferred.reject('failed');
+    $q.flush();
+    expect($state.current.name).toBe('home');
+    expect(placeholder()).toBeNull();
+    expect(elem.text()).toBe('HOME');
+    expect(homeCtrls.length).toBe(1);
+    expect(angular.element(elem.children()[0]).scope()).toBe(homeScope);
+  });
+
+  it('does not emit the view content events for the placeholder', inject(function($rootScope) {
+    let events = [];
+    ['$viewContentLoading', '$viewContentLoaded', '$viewContentAnimationEnded'].forEach(event =>
+        $rootScope.$on(event, () => events.push(event)));
+    $state.go('slow');
+    $q.flush();
+    expect(placeholder().textContent).toBe('LOADING...');
+    expect(events).toEqual([]);
+  }));
+
+  it('renders the loading-template attribute of the ui-view', inject(function($rootScope, $compile) {
+    elem = $compile('<div><ui-view loading-template="PLEASE WAIT"></ui-view></div>')($rootScope.$new());
+    $state.go('plain');
+    $q.flush();
+    expect(placeholder().textContent).toBe('PLEASE WAIT');
+
+    deferred.resolve('done');
+    $q.flush();
+    expect(elem.text()).toBe('PLAIN');
+  }));
+
+  it('does not render a placeholder when no loading template is configured', function() {
+    $state.go('plain');
+    $q.flush();
+    expect(placeholder()).toBeNull();
+    expect(elem.text()).toBe('HOME');
+  });
+});
+
+describe('uiView sticky views', function() {
+  let elem, $state, $q, $rootScope, digests;
+
+  beforeEach(module('ui.router'));
+
+  beforeEach(module(function($stateProvider) {
+    $stateProvider
+      .state('form', { sticky: true, template: '<input class="text" ng-model="text"><span>{{ digested() }}</span>' })
+      .state('other', { template: 'OTHER' })
+      .state('item', {
+        url: '/item/:id',
+        resolve: { id: ($transition$) => $transition$.params().id },
+        views: { $default: { sticky: true, template: '<span class="item">{{ $resolve.id }}</span>' } },
+      });
+  }));
+
+  beforeEach(inject(function(_$rootScope_, $compile, _$state_, _$q_) {
+    $rootScope = _$rootScope_;
+    $state = _$state_;
+    $q = _$q_;
+    digests = 0;
+    $rootScope.digested = () => { digests++; return ''; };
+    elem = $compile('<div><ui-view></ui-view></div>')($rootScope.$new());
+  }));
+
+  const go = (state, params?) => { $state.go(state, params); $q.flush(); };
+  const viewScope = (selector) => angular.element(elem[0].querySelector(selector)).scope();
+
+  it('re-attaches the same element and scope when the view is activated again', function() {
+    go('form');
+    let input = elem[0].querySelector('.text'), scope = viewScope('.text');
+    scope['text'] = 'user input';
+
+    go('other');
+    expect(elem.text()).toBe('OTHER');
+    expect(scope.$$destroyed).toBeFalsy();
+
+    go('form');
+    expect(elem[0].querySelector('.text')).toBe(input);
+    expect(viewScope('.text')).toBe(scope);
+    expect(scope['text']).toBe('user input');
+  });
+
+  it('pauses the watchers of the detached content', function() {
+    go('form');
+    go('other');
+
+    digests = 0;
+    $rootScope.$digest();
+    expect(digests).toBe(0);
+
+    go('form');
+    expect(digests).toBeGreaterThan(0);
+  });
+
+  it('deregisters a watcher which is added while the content is detached', function() {
+    go('form');
+    let scope = viewScope('.text');
+    go('other');
+
+    let listener = jasmine.createSpy('listener');
+    let deregister = scope.$watch('text', listener);
+    go('form');
+    listener.calls.reset();
+
+    deregister();
+    scope['text'] = 'changed';
+    $rootScope.$digest();
+    expect(listener).not.toHaveBeenCalled();
+  });
+
+  if (angular.version.minor >= 3) {
+    it('unbinds a one-time binding which is added while the content is detached', function() {
+      go('form');
+      let scope = viewScope('.text');
+      go('other');
+
+      let listener = jasmine.createSpy('listener');
+      scope.$watch('::once', listener);
+      go('form');
+      listener.calls.reset();
+
+      scope['once'] = 'first';
+      $rootScope.$digest();
+      scope['once'] = 'second';
+      $rootScope.$digest();
+      expect(listener.calls.allArgs().map(args => args[0])).toEqual(['first']);
+    });
+  }
+
+  it('destroys the content of views which are not sticky', function() {
+    go('other');
+    let scope = angular.element(elem[0].querySelector('ui-view')).scope();
+    go('form');
+    expect(scope.$$destroyed).toBe(true);
+  });
+
+  it('re-attaches the instance for the same parameter values', function() {
+    go('item', { id: 1 });
+    let scope1 = viewScope('.item');
+    go('other');
+
+    go('item', { id: 1 });
+    expect(elem.text()).toBe('1');
+    expect(viewScope('.item')).toBe(scope1);
+  });
+
+  it('keeps a single detached instance of a view, replacing it when the parameter values change', function() {
+    go('item', { id: 1 });
+    let scope1 = viewScope('.item');
+    go('item', { id: 2 });
+    let scope2 = viewScope('.item');
+    expect(elem.text()).toBe('2');
+    expect(scope2 === scope1).toBe(false);
+
+    go('item', { id: 3 });
+    expect(scope1.$$destroyed).toBe(true);
+    expect(scope2.$$destroyed).toBeFalsy();
+
+    go('item', { id: 2 });
+    expect(elem.text()).toBe('2');
+    expect(viewScope('.item') === scope2).toBe(true);
+  });
+
+  it('does not keep an instance for every parameter value', function() {
+    for (let id = 1; id <= 20; id++) go('item', { id });
+    go('other');
+
+    let count = 0;
+    const countScopes = (scope) => {
+      for (let child = scope.$$childHead; child; child = child.$$nextSibling) { count++; countScopes(child); }
+    };
+    countScopes(elem.scope());
+    // The detached content of the item view, and the content of the other view
+    expect(count).toBe(2);
+  });
+
+  it('destroys the detached content when the ui-view is destroyed', function() {
+    go('form');
+    let scope = viewScope('.text'), destroyed = jasmine.createSpy('$destroy');
+    scope.$on('$destroy', destroyed);
+    go('other');
+
+    elem.scope().$destroy();
+    expect(destroyed).toHaveBeenCalledTimes(1);
+    expect(scope.$$destroyed).toBe(true);
+  });
+
+  it('destroys the scope of the detached content which is replaced', function() {
+    go('item', { id: 1 });
+    let scope = viewScope('.item'), destroyed = jasmine.createSpy('$destroy');
+    scope.$on('$destroy', destroyed);
+
+    $state.go('item', { id: 1 }, { reload: true });
+    $q.flush();
+    go('other');
+
+    expect(destroyed).toHaveBeenCalledTimes(1);
+    expect(scope.$$destroyed).toBe(true);
+    expect(viewScope('.item')).toBeUndefined();
+  });
+});
+
 describe('uiView transclusion', function() {
   let scope, $compile, elem;
 
@@ -43,6 +43,10 @@ describe("view hooks", () => {
     $stateProvider.state({ name: "bar", url: "/bar", component: 'bar' });
     $stateProvider.state({ name: "baz", url: "/baz", component: 'baz' });
     $stateProvider.state({ name: "redirect", redirectTo: 'baz' });
+    $stateProvider.state({ name: "inbox", url: "/inbox", component: 'foo', resolve: { cmpdata: () => 'first' } });
+    $stateProvider.state({ name: "inbox.message", url: "/{id}" });
+    $stateProvider.state({ name: "live", url: "/live", component: 'foo', bindingMode: 'live', resolve: { cmpdata: () => 'first' } });
+    $stateProvider.state({ name: "live.message", url: "/{id}" });
   }));
 
   beforeEach(angular['mock'].module('viewhooks', 'ui.router'));
@@ -186,4 +190,72 @@ describe("view hooks", () => {
       expect($state.current.name).toBe('bar');
     });
   });
+
+  describe("uiOnResolvesChanged", () => {
+    let refetch;
+
+    beforeEach(inject(($transitions) => {
+      log = "";
+      refetch = true;
+      // Fetch the resolve of the retained state again
+      $transitions.onBefore({ retained: state => state.name === 'inbox' || state.name === 'live' }, trans => {
+        if (refetch) trans.addResolvable({ token: 'cmpdata', resolveFn: () => 'second' }, trans.to().name.split('.')[0]);
+      });
+    }));
+
+    let initial = () => {
+      $state.go('inbox'); $q.flush(); $timeout.flush();
+      expect($state.current.name).toBe('inbox');
+    };
+
+    it("is called with the changed resolve data when a resolve of the retained state is fetched again", () => {
+      ctrl.prototype.uiOnResolvesChanged = function(newValues, trans) {
+        log += `changed ${angular.toJson(newValues)} to ${trans.to().name};`;
+      };
+      initial();
+
+      $state.go('inbox.message', { id: 1 }); $q.flush();
+      expect(log).toBe('changed {"cmpdata":"second"} to inbox.message;');
+    });
+
+    it("is not called when the resolve data did not change", () => {
+      refetch = false;
+      ctrl.prototype.uiOnResolvesChanged = function() { log += "changed;"; };
+      initial();
+
+      $state.go('inbox.message', { id: 1 }); $q.flush();
+      expect(log).toBe('');
+    });
+
+    it("is not called when the view's state is exited", () => {
+      ctrl.prototype.uiOnResolvesChanged = function() { log += "changed;"; };
+      initial();
+
+      $state.go('foo'); $q.flush(); $timeout.flush();
+      expect(log).toBe('');
+    });
+
+    it("updates the one-way inputs of the routed component", () => {
+      if (angular.version.minor < 5) return;
+      ctrl.prototype.uiOnResolvesChanged = function() { log += `cmpdata ${this.cmpdata};`; };
+      initial();
+      ctrl.prototype.$onChanges = function(changes) {
+        log += `$onChanges ${changes.cmpdata.previousValue} -> ${changes.cmpdata.currentValue};`;
+      };
+
+      $state.go('inbox.message', { id: 1 }); $q.flush();
+      expect(log).toBe('$onChanges first -> second;cmpdata second;');
+    });
+
+    it("updates the inputs of the routed component using the watched bindings, when the bindingMode is live", () => {
+      if (angular.version.minor < 5) return;
+      $state.go('live'); $q.flush(); $timeout.flush();
+      ctrl.prototype.$onChanges = function(changes) {
+        log += `$onChanges ${changes.cmpdata.previousValue} -> ${changes.cmpdata.currentValue} (${this.cmpdata});`;
+      };
+
+      $state.go('live.message', { id: 1 }); $q.flush();
+      expect(log).toBe('$onChanges first -> second (second);');
+    });
+  });
 });
@@ -43,4 +43,169 @@ describe('uiView', function () {
       expect($anchorScroll).toHaveBeenCalled();
     }));
   });
+
+  describe('useScrollRestoration', function () {
+    var container, $state, $location, $rootScope, $q, $window;
+
+    beforeEach(module(function ($stateProvider, $uiViewScrollProvider) {
+      $stateProvider.state({ name: 'list', url: '/list' });
+      $stateProvider.state({ name: 'detail', url: '/detail' });
+      $stateProvider.state({ name: 'search', url: '/search?q', params: { q: { value: null, dynamic: true } } });
+      $uiViewScrollProvider.useScrollRestoration({ containers: ['#scroll-container'] });
+    }));
+
+    beforeEach(inject(function (_$state_, _$location_, _$rootScope_, _$q_, _$window_, $urlRouter) {
+      $state = _$state_;
+      $location = _$location_;
+      $rootScope = _$rootScope_;
+      $q = _$q_;
+      $window = _$window_;
+      spyOn($window, 'scrollTo');
+
+      container = angular.element('<div id="scroll-container" style="height: 10px; overflow: auto"><div style="height: 1000px"></div></div>');
+      angular.element(document.body).append(container);
+    }));
+
+    afterEach(function () {
+      container.remove();
+    });
+
+    function go(state, params) {
+      $state.go(state, params);
+      $q.flush();
+    }
+
+    function historyBack(url) {
+      angular.element($window).triggerHandler('popstate');
+      $location.url(url);
+      $rootScope.$digest();
+      $q.flush();
+    }
+
+    it('should scroll to the top on new navigations', function () {
+      go('list');
+      container[0].scrollTop = 50;
+      $window.scrollTo.calls.reset();
+
+      go('detail');
+      expect($window.scrollTo).toHaveBeenCalledWith(0, 0);
+      container[0].scrollTop = 0;
+
+      go('list');
+      expect(container[0].scrollTop).toBe(0);
+    });
+
+    it('should restore the scroll offsets of the history entry on back/forward navigations', function () {
+      go('list');
+      container[0].scrollTop = 50;
+      go('detail');
+      container[0].scrollTop = 0;
+      $window.scrollTo.calls.reset();
+
+      historyBack('/list');
+
+      expect($state.current.name).toBe('list');
+      expect(container[0].scrollTop).toBe(50);
+      expect($window.scrollTo).toHaveBeenCalled();
+    });
+
+    it('should not scroll again after the scroll offsets were restored', function () {
+      go('list');
+      container[0].scrollTop = 50;
+      go('detail');
+      historyBack('/list');
+
+      container[0].scrollTop = 20;
+      $window.scrollTo.calls.reset();
+      $rootScope.$emit('$viewContentAnimationEnded');
+
+      expect(container[0].scrollTop).toBe(20);
+      expect($window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('should not scroll to the top again after a new navigation scrolled to the top', function () {
+      go('list');
+      go('detail');
+
+      $window.scrollTo.calls.reset();
+      $rootScope.$emit('$viewContentAnimationEnded');
+
+      expect($window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('should not scroll when only dynamic parameter values change', function () {
+      go('search');
+      container[0].scrollTop = 50;
+      $window.scrollTo.calls.reset();
+
+      go('search', { q: 'shoes' });
+
+      expect($location.url()).toBe('/search?q=shoes');
+      expect(container[0].scrollTop).toBe(50);
+      expect($window.scrollTo).not.toHaveBeenCalled();
+    });
+
+    it('should not restore the scroll offsets of history entries which were not recorded', function () {
+      go('list');
+      container[0].scrollTop = 50;
+      historyBack('/detail');
+
+      expect($state.current.name).toBe('detail');
+      expect(container[0].scrollTop).toBe(50);
+      expect($window.scrollTo.calls.mostRecent().args).toEqual([0, 0]);
+    });
+  });
+
+  describe('url hash', function () {
+    var elem, section, $window, $location, $timeout, $rootScope;
+
+    beforeEach(module(function ($uiViewScrollProvider) {
+      $uiViewScrollProvider.scrollOffset(function () { return 20; });
+    }));
+
+    beforeEach(inject(function (_$window_, _$location_, _$timeout_, _$rootScope_) {
+      $window = _$window_;
+      $location = _$location_;
+      $timeout = _$timeout_;
+      $rootScope = _$rootScope_;
+      spyOn($window, 'scrollTo');
+
+      elem = [{ scrollIntoView: jasmine.createSpy('scrollIntoView') }];
+      section = angular.element('<div id="section" style="margin-top: 300px">Section</div>');
+      angular.element(document.body).append(section);
+      $location.hash('section');
+    }));
+
+    afterEach(function () {
+      section.remove();
+    });
+
+    it('should scroll to the element matching the hash, minus the offset', inject(function ($uiViewScroll) {
+      var top = section[0].getBoundingClientRect().top + $window.pageYOffset;
+      $uiViewScroll(elem);
+      $timeout.flush();
+
+      expect($window.scrollTo).toHaveBeenCalledWith($window.pageXOffset, top - 20);
+      expect(elem[0].scrollIntoView).not.toHaveBeenCalled();
+    }));
+
+    it('should wait until the nested views have rendered', inject(function ($uiViewScroll) {
+      $rootScope.$emit('$viewContentLoading', 'nested');
+      $uiViewScroll(elem);
+      $timeout.verifyNoPendingTasks();
+
+      $rootScope.$emit('$viewContentAnimationEnded');
+      $timeout.flush();
+      expect($window.scrollTo).toHaveBeenCalled();
+    }));
+
+    it('should scroll the element into view when no element matches the hash', inject(function ($uiViewScroll) {
+      $location.hash('nonexistent');
+      $uiViewScroll(elem);
+      $timeout.flush();
+
+      expect($window.scrollTo).not.toHaveBeenCalled();
+      expect(elem[0].scrollIntoView).toHaveBeenCalled();
+    }));
+  });
 });